@@ -1,16 +1,25 @@
 // audio.js - Audio handling for the 3D scene
 
 import * as THREE from 'three';
+import { loadLyrics } from './lyrics.js';
+import { createRandom, deriveSeed } from './random.js';
+import { disposeObject } from './disposal.js';
+import { createRigidBody, applyExplosionImpulse, stepRigidBodies, springOffset } from './physics.js';
+import { updateBeatTracker, resetBeatTracker, getBeatState } from './beat.js';
+import { setupSpectrum, isSpectrumReady, readFftSize, updateSpectrum, resetSpectrum, getBand, getMelSpectrum } from './spectrum.js';
+import { registerCueHandler, createCueTimeline, updateCueTimeline, resetCueTimeline } from './cues.js';
+import { resetDirector } from './rails.js';
+import { attachPlaybackClock, resetPlaybackClock, getPlaybackTime, startPlayback, pausePlayback, seekPlayback, endPlayback } from './clock.js';
+import { createTransport, setTransportMarkers } from './transport.js';
+import { loadMelody } from './midi.js';
+import { createSingingHud, setSingingMelody } from './singing.js';
 
 // Audio variables
 let audioListener, audioSource;
-let audioAnalyser;
-let audioData = [];
 let isAudioPlaying = false;
-let audioStartTime = 0;
 
 // Export audio variables for use in main.js
-export { audioAnalyser, audioData, isAudioPlaying, audioStartTime };
+export { isAudioPlaying };
 
 // Lyrics variables
 let currentStanzaIndex = -1;
@@ -20,83 +29,140 @@ let stanzaContainer = null; // Container for current stanza
 let stanzaFadeTimeout = null; // Timeout for fading out stanza
 let currentSceneRef = 'exterior'; // Default to exterior view
 
-// Array of lyrics with timestamps in milliseconds
-const lyrics = [
-    // First stanza
-    [
-        { time: 26500, text: "karaoke at our favorite bar" },
-        { time: 32500, text: "I wanna sing away my cares" },
-        { time: 38500, text: "text me when you're on the bus" },
-        { time: 43500, text: "I'll order us a Gansett pair" }
-    ],
-    
-    // Second stanza
-    [
-        { time: 80000, text: "my name upon the dotted line" },
-        { time: 86000, text: "fairies spinning above" },
-        { time: 92000, text: "cried when I did \"Stuck With You\"" },
-        { time: 99000, text: "that's the power of love" }
-    ],
-    
-    // Third stanza
-    [
-        { time: 134000, text: "we can get a handle on" },
-        { time: 140000, text: "anything they put us through" },
-        { time: 146000, text: "so kiss me in the corner booth" },
-        { time: 151000, text: "kiss me" }
-    ]
-];
+// Stanzas of { time, text, words } lines with timestamps in milliseconds,
+// loaded from the song's .lrc file in setupAudio
+let lyrics = [];
+let lastLyricsTime = 0; // Playback time of the last lyrics update, to notice seeks backwards
 
-// Setup audio with the provided camera
-const setupAudio = (camera, onLoadCallback) => {
-    // Create an AudioListener and add it to the camera
-    audioListener = new THREE.AudioListener();
-    camera.add(audioListener);
+// The manifest entry of the song currently loaded
+let currentSong = null;
+let onSongEndedCallback = null; // Called when a song finishes (used to advance the setlist)
+
+// Setup audio with the provided camera and load the given manifest entry
+const setupAudio = (camera, song, onLoadCallback, onEndedCallback) => {
+    onSongEndedCallback = onEndedCallback || null;
+    
+    // The listener, source and analyser are shared by every song in the setlist
+    if (!audioListener) {
+        // Create an AudioListener and add it to the camera
+        audioListener = new THREE.AudioListener();
+        camera.add(audioListener);
+        
+        // Create a non-positional audio source
+        audioSource = new THREE.Audio(audioListener);
+        audioSource.setLoop(false); // Don't loop the song
+        audioSource.setVolume(0.6); // Slightly higher volume since we're not using spatial audio
+        
+        // Lyrics and cues follow the playback clock rather than wall time
+        attachPlaybackClock(audioSource);
+        
+        // Add 'ended' event listener to handle when song finishes
+        audioSource.onEnded = () => {
+            // Keep THREE.Audio's own bookkeeping so the next song can play()
+            THREE.Audio.prototype.onEnded.call(audioSource);
+            endPlayback();
+            isAudioPlaying = false;
+            
+            // Hide lyrics when song ends
+            if (stanzaContainer) {
+                stanzaContainer.style.opacity = '0';
+            }
+            
+            if (onSongEndedCallback) {
+                onSongEndedCallback(currentSong);
+            }
+        };
+        
+        // Set up the spectrum analysis for visualization; ?fft= in the URL sets its resolution
+        setupSpectrum(audioSource, { fftSize: readFftSize(window.location.search) });
+        
+        // Initialize lyrics container
+        setupLyricsDisplay();
+        
+        // Play/pause, seek bar and timeline
+        createTransport({
+            onTogglePlay: togglePlayback,
+            onSeek: seekTo,
+            isPlaying: () => isAudioPlaying
+        });
+        
+        // Optional microphone singing with a pitch-lane HUD
+        createSingingHud();
+    }
+    
+    loadSong(song, onLoadCallback);
+};
+
+// Load a manifest entry's audio, lyrics and cue timeline into the shared audio source
+const loadSong = (song, onLoadCallback) => {
+    currentSong = song;
+    lyrics = [];
+    
+    // Undo anything the previous song's cues did before switching timelines, and give the
+    // director back a camera the viewer took over
+    resetCueTimeline(cueTimeline, cueContext);
+    resetDirector();
+    cueTimeline = createCueTimeline(song.cues);
+    refreshTransportMarkers();
+    
+    // The new song has its own tempo
+    resetBeatTracker();
+    resetSpectrum();
+    
+    // Load the lyrics alongside the song; a bad file only costs us the lyrics
+    if (song.lyrics) {
+        loadLyrics(
+            song.lyrics,
+            function(parsed) {
+                // Ignore lyrics that arrive after another song was selected
+                if (currentSong === song) {
+                    lyrics = parsed.stanzas;
+                    refreshTransportMarkers();
+                }
+            },
+            function(error) {
+                console.error('Error loading lyrics:', error);
+                showErrorMessage(error.message);
+            }
+        );
+    }
     
-    // Create a non-positional audio source
-    audioSource = new THREE.Audio(audioListener);
+    // The reference melody scores the singer; without one the HUD only shows the sung pitch
+    setSingingMelody([]);
+    if (song.melody) {
+        loadMelody(
+            song.melody,
+            function(notes) {
+                if (currentSong === song) {
+                    setSingingMelody(notes);
+                }
+            },
+            function(error) {
+                console.error('Error loading melody:', error);
+                showErrorMessage(error.message);
+            }
+        );
+    }
     
     // Create an AudioLoader
     const audioLoader = new THREE.AudioLoader();
     
     // Load the sound file with error handling
     audioLoader.load(
-        'huey.mp3',
+        song.audio,
         function(buffer) {
-            console.log('Audio loaded successfully');
+            console.log(`Audio loaded successfully: ${song.title}`);
             
-            // Set the buffer to the audio source
+            // Set the buffer to the audio source, starting from the top
+            resetPlaybackClock();
+            isAudioPlaying = false;
             audioSource.setBuffer(buffer);
-            audioSource.setLoop(false); // Don't loop the song
-            audioSource.setVolume(0.6); // Slightly higher volume since we're not using spatial audio
-            
-            // Add 'ended' event listener to handle when song finishes
-            audioSource.onEnded = () => {
-                isAudioPlaying = false;
-                
-                // Reset the play button
-                const playButton = document.querySelector('button');
-                if (playButton) {
-                    playButton.textContent = 'Play';
-                }
-                
-                // Hide lyrics when song ends
-                if (stanzaContainer) {
-                    stanzaContainer.style.opacity = '0';
-                }
-            };
-            
-            // Set up analyzer for visualization
-            audioAnalyser = new THREE.AudioAnalyser(audioSource, 128);
-            audioData = audioAnalyser.data;
-            
-            // Initialize lyrics container
-            setupLyricsDisplay();
+            refreshTransportMarkers();
 
             // If a callback is provided, execute it now that audio is loaded
             if (onLoadCallback) {
                 console.log("audio.js: About to call onLoadCallback from setupAudio"); // DEBUG
-                onLoadCallback();
+                onLoadCallback(song);
             }
         },
         // Progress callback
@@ -106,118 +172,93 @@ const setupAudio = (camera, onLoadCallback) => {
         // Error callback
         function(error) {
             console.error('Error loading audio:', error);
-            // Add error message to the page
-            const errorDiv = document.createElement('div');
-            errorDiv.style.position = 'absolute';
-            errorDiv.style.top = '20px';
-            errorDiv.style.left = '20px';
-            errorDiv.style.color = 'red';
-            errorDiv.style.backgroundColor = 'rgba(0,0,0,0.7)';
-            errorDiv.style.padding = '10px';
-            errorDiv.style.borderRadius = '5px';
-            errorDiv.style.zIndex = '1000';
-            errorDiv.textContent = 'Error loading audio. Please check console for details.';
-            document.body.appendChild(errorDiv);
+            showErrorMessage(`Error loading audio for "${song.title}". Please check console for details.`);
         }
     );
 };
 
-// Add audio control button
-const addAudioControls = () => {
-    const controlsDiv = document.createElement('div');
-    controlsDiv.style.position = 'absolute';
-    controlsDiv.style.bottom = '20px';
-    controlsDiv.style.left = '20px';
-    controlsDiv.style.zIndex = '1000';
-    
-    const playButton = document.createElement('button');
-    playButton.textContent = 'Play';
-    playButton.style.padding = '10px 20px';
-    playButton.style.backgroundColor = '#333';
-    playButton.style.color = '#fff';
-    playButton.style.border = '2px solid #666';
-    playButton.style.cursor = 'pointer';
-    playButton.style.fontFamily = 'monospace';
-    playButton.style.borderRadius = '4px';
-    playButton.style.marginRight = '10px';
-    playButton.style.boxShadow = '0 0 5px rgba(0,0,0,0.5)';
-    
-    playButton.addEventListener('click', () => {
-        if (!isAudioPlaying) {
-            // Try to play audio with error handling
-            try {
-                // Resume audio context if it's suspended (browser autoplay policy)
-                if (audioListener.context.state === 'suspended') {
-                    audioListener.context.resume().then(() => {
-                        console.log('Audio context resumed');
-                        audioSource.play();
-                        playButton.textContent = 'Pause';
-                        isAudioPlaying = true;
-                        audioStartTime = Date.now();
-                        
-                        // Reset transition flag when starting playback
-                        sceneTransitionTriggered = false;
-                        explosionTriggered = false;
-                        returnTriggered = false;
-                        preventSecondExplosion = false; // Reset when restarting
-                        
-                        // Reset lyrics display when starting playback
-                        currentStanzaIndex = -1;
-                        currentLineIndex = -1;
-                        
-                        // Clear any existing lyrics
-                        stanzaContainer = null;
-                        
-                        // Clear any existing timeout
-                        if (stanzaFadeTimeout) {
-                            clearTimeout(stanzaFadeTimeout);
-                        }
-                    }).catch(error => {
-                        console.error('Error resuming audio context:', error);
-                    });
-                } else {
-                    audioSource.play();
-                    playButton.textContent = 'Pause';
+// Show an error message overlay in the top-left corner of the page
+const showErrorMessage = (message) => {
+    const errorDiv = document.createElement('div');
+    errorDiv.style.position = 'absolute';
+    errorDiv.style.top = '20px';
+    errorDiv.style.left = '20px';
+    errorDiv.style.color = 'red';
+    errorDiv.style.backgroundColor = 'rgba(0,0,0,0.7)';
+    errorDiv.style.padding = '10px';
+    errorDiv.style.borderRadius = '5px';
+    errorDiv.style.zIndex = '1000';
+    errorDiv.textContent = message;
+    document.body.appendChild(errorDiv);
+    return errorDiv;
+};
+
+// The song's output node, for mixing it into a recording
+const getSongOutput = () => audioSource ? audioSource.getOutput() : null;
+
+// Play or pause the current song from the transport bar
+const togglePlayback = () => {
+    if (!isAudioPlaying) {
+        // Try to play audio with error handling
+        try {
+            // Resume audio context if it's suspended (browser autoplay policy)
+            if (audioListener.context.state === 'suspended') {
+                audioListener.context.resume().then(() => {
+                    console.log('Audio context resumed');
+                    startPlayback();
                     isAudioPlaying = true;
-                    audioStartTime = Date.now();
-                    
-                    // Reset transition flag when starting playback
-                    sceneTransitionTriggered = false;
-                    explosionTriggered = false;
-                    returnTriggered = false;
-                    preventSecondExplosion = false; // Reset when restarting
-                    
-                    // Reset lyrics display when starting playback
-                    currentStanzaIndex = -1;
-                    currentLineIndex = -1;
-                    
-                    // Clear any existing lyrics
-                    stanzaContainer = null;
-                    
-                    // Clear any existing timeout
-                    if (stanzaFadeTimeout) {
-                        clearTimeout(stanzaFadeTimeout);
-                    }
-                }
-            } catch (error) {
-                console.error('Error playing audio:', error);
-            }
-        } else {
-            // Pause audio
-            audioSource.pause();
-            
-            playButton.textContent = 'Play';
-            isAudioPlaying = false;
-            
-            // Hide lyrics when paused
-            if (stanzaContainer) {
-                stanzaContainer.style.opacity = '0';
+                }).catch(error => {
+                    console.error('Error resuming audio context:', error);
+                });
+            } else {
+                startPlayback();
+                isAudioPlaying = true;
             }
+        } catch (error) {
+            console.error('Error playing audio:', error);
         }
-    });
+    } else {
+        // Pause audio, holding the playback position
+        pausePlayback();
+        isAudioPlaying = false;
+        
+        // Hide lyrics when paused
+        if (stanzaContainer) {
+            stanzaContainer.style.opacity = '0';
+        }
+    }
+};
+
+// Move playback to a song time in milliseconds and bring the scene and lyrics up to it
+const seekTo = (songTime) => {
+    seekPlayback(songTime);
+    resetDirector();
+    
+    // Cues are normally updated each frame while playing; a paused seek has to apply them now
+    if (cueContext) {
+        updateCueTimeline(cueTimeline, getPlaybackTime(), cueContext);
+    }
     
-    controlsDiv.appendChild(playButton);
-    document.body.appendChild(controlsDiv);
+    // Rebuild the lyrics from the new position
+    resetLyricsDisplay();
+};
+
+// Show the current song's stanzas and cue points on the transport timeline
+const refreshTransportMarkers = () => {
+    if (!currentSong) return;
+    
+    setTransportMarkers({
+        stanzas: lyrics.map((stanza, index) => ({
+            start: stanza[0].time,
+            end: stanza[stanza.length - 1].time,
+            color: getLyricColor(index).fill
+        })),
+        cues: currentSong.cues.map(cue => ({
+            time: cue.time,
+            label: cue.params.scene ? `${cue.type} (${cue.params.scene})` : cue.type
+        })),
+        duration: currentSong.duration
+    });
 };
 
 // Setup lyrics display container and element
@@ -276,6 +317,23 @@ const setupLyricsDisplay = () => {
             word-break: normal;
         }
 
+        /* Karaoke word - base text with a colored copy wiped over it */
+        .lyric-word {
+            position: relative;
+            display: inline-block;
+            white-space: pre;
+        }
+        
+        /* Sung portion of a word, clipped to the word's progress */
+        .lyric-word-fill {
+            position: absolute;
+            top: 0;
+            left: 0;
+            width: 0%;
+            overflow: hidden;
+            white-space: pre;
+        }
+
         /* Media query for smaller screens */
         @media (max-height: 600px) {
             .lyric-line {
@@ -289,8 +347,12 @@ const setupLyricsDisplay = () => {
     document.body.appendChild(lyricsContainer);
 };
 
+// Longest time the final word of a line keeps filling (ms)
+const maxLastWordDuration = 1500;
+
 // Create a new lyric element
-const createLyricElement = (text, colorScheme) => {
+// Lines with word timings get one span per word so they can be wiped in karaoke style
+const createLyricElement = (line, colorScheme, nextLineTime) => {
     // Create the main lyric element
     const element = document.createElement('div');
     element.className = 'lyric-line pixel-text';
@@ -317,21 +379,70 @@ const createLyricElement = (text, colorScheme) => {
         -1px 0 1px #000
     `;
     
-    // Add text
-    element.textContent = text;
+    // No word timings - plain text, revealed as a whole line
+    if (!line.words) {
+        element.textContent = line.text;
+        return element;
+    }
+    
+    // Build a span per word (or syllable) with a fill layer in the stanza's color
+    element.karaokeWords = line.words.map((word, index) => {
+        const nextWord = line.words[index + 1];
+        
+        // A word lasts until the next one starts; the last word is held
+        // until the next line, but never longer than maxLastWordDuration
+        let end;
+        if (nextWord) {
+            end = nextWord.time;
+        } else if (nextLineTime !== undefined) {
+            end = Math.min(nextLineTime, word.time + maxLastWordDuration);
+        } else {
+            end = word.time + maxLastWordDuration;
+        }
+        
+        const wordElement = document.createElement('span');
+        wordElement.className = 'lyric-word';
+        wordElement.textContent = word.text;
+        
+        const fillElement = document.createElement('span');
+        fillElement.className = 'lyric-word-fill';
+        fillElement.style.color = colorScheme.fill;
+        fillElement.textContent = word.text;
+        wordElement.appendChild(fillElement);
+        
+        element.appendChild(wordElement);
+        
+        return { start: word.time, end: Math.max(end, word.time + 1), fillElement };
+    });
     
     return element;
 };
 
-// Get a neon color for the lyrics based on the index (glow only)
+// Wipe each word of a karaoke line according to the current playback time
+const updateWordWipe = (lineElement, currentPlaybackTime) => {
+    if (!lineElement.karaokeWords) return;
+    
+    lineElement.karaokeWords.forEach(word => {
+        const progress = THREE.MathUtils.clamp(
+            (currentPlaybackTime - word.start) / (word.end - word.start), 0, 1);
+        const width = `${(progress * 100).toFixed(1)}%`;
+        
+        // Only touch the DOM when the fill actually changes
+        if (word.fillElement.style.width !== width) {
+            word.fillElement.style.width = width;
+        }
+    });
+};
+
+// Get a neon color for the lyrics based on the index (glow plus karaoke fill)
 const getLyricColor = (index) => {
     const colors = [
-        { shadow: 'rgba(255, 51, 119, 0.8)' },   // Pink
-        { shadow: 'rgba(51, 255, 170, 0.8)' },   // Seafoam green
-        { shadow: 'rgba(51, 187, 255, 0.8)' },   // Light blue
-        { shadow: 'rgba(255, 153, 51, 0.8)' },   // Orange
-        { shadow: 'rgba(221, 255, 51, 0.8)' },   // Lime
-        { shadow: 'rgba(255, 51, 221, 0.8)' }    // Magenta
+        { shadow: 'rgba(255, 51, 119, 0.8)', fill: '#ff3377' },   // Pink
+        { shadow: 'rgba(51, 255, 170, 0.8)', fill: '#33ffaa' },   // Seafoam green
+        { shadow: 'rgba(51, 187, 255, 0.8)', fill: '#33bbff' },   // Light blue
+        { shadow: 'rgba(255, 153, 51, 0.8)', fill: '#ff9933' },   // Orange
+        { shadow: 'rgba(221, 255, 51, 0.8)', fill: '#ddff33' },   // Lime
+        { shadow: 'rgba(255, 51, 221, 0.8)', fill: '#ff33dd' }    // Magenta
     ];
     
     return colors[index % colors.length];
@@ -341,15 +452,21 @@ const getLyricColor = (index) => {
 const updateLyrics = () => {
     if (!isAudioPlaying || !lyricsContainer) return;
     
-    const currentPlaybackTime = Date.now() - audioStartTime;
+    const currentPlaybackTime = getPlaybackTime();
     
-    // Check if we need to create a new stanza
-    for (let i = 0; i < lyrics.length; i++) {
-        const stanza = lyrics[i];
-        const firstLineTime = stanza[0].time;
+    // After a seek backwards, rebuild the display from the new position
+    if (currentPlaybackTime < lastLyricsTime) {
+        resetLyricsDisplay();
+    }
+    lastLyricsTime = currentPlaybackTime;
+    
+    // Check if we need to create a new stanza - the latest one that has started,
+    // so a seek forward skips straight past the stanzas in between
+    for (let i = lyrics.length - 1; i > currentStanzaIndex; i--) {
+        const firstLineTime = lyrics[i][0].time;
         
         // If we've reached a new stanza's start time and it's a new stanza
-        if (currentPlaybackTime >= firstLineTime && i > currentStanzaIndex) {
+        if (currentPlaybackTime >= firstLineTime) {
             // Create a new stanza
             createNewStanza(i);
             break;
@@ -391,6 +508,11 @@ const updateLyrics = () => {
                 break;
             }
         }
+        
+        // Advance the karaoke wipe on every line that has been revealed
+        for (let i = 0; i <= currentLineIndex && i < stanzaContainer.children.length; i++) {
+            updateWordWipe(stanzaContainer.children[i], currentPlaybackTime);
+        }
     }
 };
 
@@ -428,7 +550,8 @@ const createNewStanza = (stanzaIndex) => {
     // Create all lines for this stanza but keep them hidden initially
     const currentStanza = lyrics[stanzaIndex];
     for (let i = 0; i < currentStanza.length; i++) {
-        const lyricElement = createLyricElement(currentStanza[i].text, colorScheme);
+        const nextLine = currentStanza[i + 1];
+        const lyricElement = createLyricElement(currentStanza[i], colorScheme, nextLine ? nextLine.time : undefined);
         stanzaContainer.appendChild(lyricElement);
         
         // Setup pulse animation for each lyric element
@@ -459,7 +582,7 @@ const setupPulseAnimation = (element, colorScheme) => {
         if (!isAudioPlaying || !element || element.style.opacity === '0') return;
         
         // Get current audio levels
-        const midLevel = getAverageFrequency(5, 20);
+        const midLevel = getBand('mid').level;
         
         // Only pulse glow with mid frequencies
         const glowIntensity = 8 + midLevel * 16;
@@ -494,8 +617,8 @@ const updateSceneReference = (sceneName) => {
     }
 };
 
-// Create audio-reactive particles in the scene
-const createAudioReactiveElements = (scene) => {
+// Create audio-reactive particles in the scene, placed using the given seeded random()
+const createAudioReactiveElements = (scene, random) => {
     console.log("createAudioReactiveElements called in audio.js"); // For debugging
     // Create multiple particle systems with different geometries
     const particleCount = 80;
@@ -521,19 +644,19 @@ const createAudioReactiveElements = (scene) => {
     // Distribute particles across the different geometry types
     for (let i = 0; i < particleCount; i++) {
         // Position particles mostly in the interior scene
-        const x = (Math.random() - 0.5) * 15;
-        const y = Math.random() * 5 + 1.5;
-        const z = (Math.random() - 0.5) * 15 - 5; // Bias toward interior (-5)
+        const x = (random() - 0.5) * 15;
+        const y = random() * 5 + 1.5;
+        const z = (random() - 0.5) * 15 - 5; // Bias toward interior (-5)
         
         // Neon colors
         const color = new THREE.Color(
-            0.7 + Math.random() * 0.3,     // Red
-            0.4 + Math.random() * 0.6,     // Green
-            0.8 + Math.random() * 0.2      // Blue
+            0.7 + random() * 0.3,     // Red
+            0.4 + random() * 0.6,     // Green
+            0.8 + random() * 0.2      // Blue
         );
         
         // Choose a random geometry for this particle
-        const geometryIndex = Math.floor(Math.random() * geometries.length);
+        const geometryIndex = Math.floor(random() * geometries.length);
         const geometry = geometries[geometryIndex];
         
         // Create material with glow
@@ -549,10 +672,11 @@ const createAudioReactiveElements = (scene) => {
         particle.position.set(x, y, z);
         particle.scale.set(1, 1, 1);
         particle.rotation.set(
-            Math.random() * Math.PI * 2,
-            Math.random() * Math.PI * 2,
-            Math.random() * Math.PI * 2
+            random() * Math.PI * 2,
+            random() * Math.PI * 2,
+            random() * Math.PI * 2
         );
+        particle.userData.particleIndex = i; // Creation order, for the particle budget
         
         // Add particle to its respective array based on geometry type
         if (geometryIndex === 0) particles.tetrahedrons.push(particle);
@@ -571,279 +695,184 @@ const createAudioReactiveElements = (scene) => {
     if (!scene.userData) scene.userData = {};
     scene.userData.audioReactiveElements = {
         particleGroup: particleGroups,
-        particles: particles
+        particles: particles,
+        random: random // Also used to respawn particles that drift away
     };
     
     return particleGroups;
 };
 
-// Add variables for scene transition timing
-let sceneTransitionTime = 5000; // 5 seconds into the song
-let sceneTransitionTriggered = false;
-let explosionTriggered = false;
-let explosionTime = 66000; // 1:06 into the song
-let returnToPositionTime = 135000; // 2:15 into the song
-let returnTriggered = false;
-let preventSecondExplosion = false; // Flag to prevent repeated explosions
+// Remove the audio-reactive particles and free their GPU resources
+const disposeAudioReactiveElements = (scene) => {
+    if (!scene.userData.audioReactiveElements) return;
+    
+    disposeObject(scene.userData.audioReactiveElements.particleGroup);
+    delete scene.userData.audioReactiveElements;
+};
 
-// Create an explosion effect when the drums and bass kick in
-let blownApartObjects = new Map(); // Store objects blown apart for later return
-let explosionCenter = new THREE.Vector3(0, 0, 0); // Centered at origin, not mic stand
-let originalObjectStates = new Map(); // Store original states of ALL objects before any explosions
+// Cue timeline for the current song, built from its manifest cues in loadSong.
+// The scene objects it acts on are remembered so a song change can revert it.
+let cueTimeline = createCueTimeline();
+let cueContext = null;
 
-const createExplosionEffect = (scene, interiorElements, streetElements) => {
-    // Use center of scene (0,0,0) as explosion origin
-    explosionCenter.set(0, 0, 0);
-    
-    // More complete recursive check for audio reactive particles
-    const isAudioReactiveParticle = (object) => {
-        if (!object) return false;
-        if (object.name === "audioReactiveParticles") return true;
-        if (object.parent && object.parent.name === "audioReactiveParticles") return true;
-        
-        // Check through the geometry types used for particles
-        const particleGeometryTypes = [
-            "TetrahedronGeometry", "OctahedronGeometry", 
-            "DodecahedronGeometry", "IcosahedronGeometry"
-        ];
-        
-        if (object.geometry && particleGeometryTypes.some(type => 
-            object.geometry.type === type || 
-            (object.geometry.constructor && object.geometry.constructor.name === type)
-        )) {
-            return true;
-        }
-        
-        return false;
-    };
+// Clear lyric progress before a song starts
+const resetLyricsDisplay = () => {
+    currentStanzaIndex = -1;
+    currentLineIndex = -1;
+    lastLyricsTime = 0;
     
-    // Create a flash of light at the center
-    const flashLight = new THREE.PointLight(0xffffff, 2, 30);
-    flashLight.position.copy(explosionCenter);
-    flashLight.position.y += 2; // Slightly above center
-    scene.add(flashLight);
-    
-    // Fade out the flash
-    const fadeOutFlash = () => {
-        if (flashLight.intensity > 0.1) {
-            flashLight.intensity *= 0.9;
-            requestAnimationFrame(fadeOutFlash);
-        } else {
-            scene.remove(flashLight);
-        }
-    };
+    // Clear any existing lyrics
+    if (stanzaContainer && stanzaContainer.parentNode) {
+        stanzaContainer.parentNode.removeChild(stanzaContainer);
+    }
+    stanzaContainer = null;
     
-    // Start fading after a short delay
-    setTimeout(fadeOutFlash, 100);
-    
-    // Store original positions of ALL objects if we haven't already
-    if (originalObjectStates.size === 0) {
-        scene.traverse(object => {
-            if (object.isMesh || object.isGroup) {
-                // Skip skybox, audio-reactive particles, fairies and any other special objects
-                if (object.name === "skybox" || 
-                    object.name === "audioReactiveParticles" ||
-                    isAudioReactiveParticle(object) ||
-                    (object.parent && object.parent.name === "fairiesGroup") ||
-                    object.name === "fairiesGroup") {
-                    return;
-                }
-                
-                // Store original state
+    // Clear any existing timeout
+    if (stanzaFadeTimeout) {
+        clearTimeout(stanzaFadeTimeout);
+    }
+};
+
+// Create an explosion effect when the drums and bass kick in
+let blownApartObjects = new Map(); // Rigid body of every object an explosion has thrown, by object
+let explosionCenter = new THREE.Vector3(0, 1, -7.5);
+let originalObjectStates = new Map(); // Store original states of blown-apart objects before any explosions
+let blowApartStep = null; // Advances the running blow-apart simulation to a song time, null when settled
+let flashes = []; // Explosion and return flashes still fading: { light, intensity, startTime, fadeStart } (song ms)
+
+const maxCatchUpSteps = 6000; // Upper bound on blow-apart steps simulated at once, e.g. after a seek
+const blowApartStepTime = 1 / 60; // Seconds of song time per simulation step, whatever the frame rate
+const flashFadePerSecond = Math.pow(0.9, 60); // A flash keeps this share of its brightness each second
+
+// A flash of light just above the explosion center, lit at song time startTime (ms) and
+// fading from delay ms later. Flashes fade by song time in updateFlashes, so offline
+// frames catch them at the same brightness as live playback would.
+const createFlash = (scene, intensity, startTime, delay) => {
+    const light = new THREE.PointLight(0xffffff, intensity, 30);
+    light.position.copy(explosionCenter);
+    light.position.y += 2;
+    scene.add(light);
+    flashes.push({ light, intensity, startTime, fadeStart: startTime + delay });
+};
+
+// Fade the flashes to song time (ms); faded ones, and ones a seek went back before, go
+const updateFlashes = (time) => {
+    flashes = flashes.filter(flash => {
+        const fadingFor = Math.max(0, time - flash.fadeStart) / 1000;
+        flash.light.intensity = flash.intensity * Math.pow(flashFadePerSecond, fadingFor);
+        if (time < flash.startTime || flash.light.intensity <= 0.1) {
+            disposeObject(flash.light);
+            return false;
+        }
+        return true;
+    });
+};
+
+// Explode cue defaults: props up to radius from center (the middle of the bar, just above
+// the floor) are thrown; force is the speed in m/s a small prop right at the center gets
+const explosionDefaults = { center: [0, 1, -7.5], force: 14, radius: 12 };
+
+const createExplosionEffect = (scene, interiorElements, streetElements, random, lateBy = 0, options = {}) => {
+    const { center, force, radius } = { ...explosionDefaults, ...options };
+    explosionCenter.fromArray(center);
+    
+    // Create a flash of light at the center that starts fading after a short delay
+    createFlash(scene, 2, getPlaybackTime() - lateBy, 100);
+    
+    // The props are the objects directly in the exterior and interior groups. Skip the ones
+    // fixed in place (the building and the ground), the fairies, which keep orbiting, and the
+    // InstancedMeshes, whose instances move with their stand-ins inside the props.
+    scene.children.filter(child => child.userData.isSceneGroup).forEach(group => {
+        group.children.forEach(object => {
+            if (object.userData.fixed || object.isInstancedMesh || object.name === "fairiesGroup") {
+                return;
+            }
+            
+            // A prop already thrown by an earlier explosion is pushed again from where it is
+            const body = blownApartObjects.get(object) || createRigidBody(object);
+            if (!applyExplosionImpulse(body, explosionCenter, force, radius, random)) return;
+            
+            // Store the original state the first time the prop is thrown
+            if (!originalObjectStates.has(object)) {
                 originalObjectStates.set(object, {
                     position: object.position.clone(),
                     rotation: {
                         x: object.rotation.x,
                         y: object.rotation.y,
                         z: object.rotation.z
-                    }
+                    },
+                    quaternion: object.quaternion.clone()
                 });
             }
+            blownApartObjects.set(object, body);
         });
-    }
-    
-    // Store objects to be blown apart
-    blownApartObjects = new Map();
+    });
     
-    // Function to store original positions and prepare for blow-apart
-    const prepareBlowApart = (object) => {
-        if (object.isMesh || object.isGroup) {
-            // Skip skybox, audio-reactive particles, fairies and any other special objects
-            if (object.name === "skybox" || 
-                object.name === "audioReactiveParticles" ||
-                isAudioReactiveParticle(object) ||
-                (object.parent && object.parent.name === "fairiesGroup") ||
-                object.name === "fairiesGroup") {
-                return;
-            }
-            
-            // Calculate direction from center to object
-            const direction = new THREE.Vector3();
-            direction.subVectors(object.position, explosionCenter).normalize();
-            
-            // Calculate distance from center (affects force)
-            const distance = object.position.distanceTo(explosionCenter);
-            
-            // Check if this is a table or chair
-            const isTableOrChair = (obj) => {
-                const scene = document.querySelector('canvas')?.userData?.scene;
-                if (!scene || !scene.userData) return false;
-                
-                const interiorElements = scene.userData.interiorElements;
-                if (!interiorElements) return false;
-                
-                if (interiorElements.tables && interiorElements.tables.includes(obj)) return true;
-                if (interiorElements.chairs && interiorElements.chairs.includes(obj)) return true;
-                
-                return false;
-            };
-            
-            // Calculate force (closer = stronger force, but much gentler overall)
-            let forceFactor = Math.max(0.3, 5 / (distance + 0.1));
-            
-            // Reduce force for tables and chairs to keep them more stable
-            if (isTableOrChair(object)) {
-                forceFactor *= 0.7; // 30% less force for furniture
-            }
-            
-            // Store data for this object
-            blownApartObjects.set(object, {
-                direction: direction,
-                force: forceFactor,
-                maxDistance: 3 + Math.random() * 3, // Shorter maximum distance
-                isTableOrChair: isTableOrChair(object) // Flag for special handling
-            });
+    // Props fall to the floor and bounce off the bar's walls and ceiling
+    const world = { floor: 0, rooms: streetElements.barBounds ? [streetElements.barBounds] : [] };
+    const bodies = Array.from(blownApartObjects.values());
+    
+    // Run as many fixed steps as fit between the explosion and song time (ms), so the props
+    // fly at the same speed at any frame rate, live or offline. Returns false once they settle.
+    const startTime = getPlaybackTime() - lateBy;
+    let simulatedTime = 0;
+    const stepBlowApart = (time) => {
+        const targetTime = (time - startTime) / 1000;
+        for (let i = 0; i < maxCatchUpSteps && simulatedTime + blowApartStepTime <= targetTime; i++) {
+            simulatedTime += blowApartStepTime;
+            if (!stepRigidBodies(bodies, world, blowApartStepTime)) return false;
         }
+        return true;
     };
     
-    // Process all objects in the scene
-    scene.traverse(prepareBlowApart);
-    
-    // Function to animate the blow-apart effect
-    const animateBlowApart = () => {
-        let stillMoving = false;
-        
-        blownApartObjects.forEach((data, object) => {
-            if (!object.userData.blowApartDistance) {
-                object.userData.blowApartDistance = 0;
-                
-                // Get data for this object
-                const objData = blownApartObjects.get(object);
-                const isTableOrChair = objData && objData.isTableOrChair;
-                
-                // Store a consistent rotation direction for each object (MUCH slower)
-                // Tables and chairs get even less rotation
-                const rotationMultiplier = isTableOrChair ? 0.3 : 1.0;
-                object.userData.rotationDirection = {
-                    x: Math.sign(Math.random() - 0.5) * 0.0005 * rotationMultiplier,
-                    y: Math.sign(Math.random() - 0.5) * 0.0008 * rotationMultiplier,
-                    z: Math.sign(Math.random() - 0.5) * 0.0005 * rotationMultiplier
-                };
-                
-                // Save initial angle for orbital motion
-                const toObject = new THREE.Vector3().subVectors(object.position, explosionCenter);
-                object.userData.orbitAngle = Math.atan2(toObject.x, toObject.z);
-                object.userData.orbitRadius = toObject.length() * 1.1; // Expand orbit slightly
-                object.userData.orbitSpeed = 0.0005 + Math.random() * 0.0005; // MUCH slower orbit speed
-                object.userData.orbitVertical = -0.05 + Math.random() * 0.1; // Less vertical drift
-            }
-            
-            // If we haven't reached max distance yet
-            if (object.userData.blowApartDistance < data.maxDistance) {
-                // Calculate movement speed (starts fast, slows down) - MUCH slower
-                const speed = 0.03 * data.force * (1 - object.userData.blowApartDistance / data.maxDistance);
-                
-                // Initial outward movement (reduced)
-                object.position.addScaledVector(data.direction, speed * 0.3);
-                
-                // Add orbital motion around the center
-                object.userData.orbitAngle += object.userData.orbitSpeed;
-                
-                // Calculate new position based on orbit
-                const orbitX = Math.sin(object.userData.orbitAngle) * object.userData.orbitRadius;
-                const orbitZ = Math.cos(object.userData.orbitAngle) * object.userData.orbitRadius;
-                
-                // Smoothly transition to orbital path (slower transition)
-                const orbitProgress = Math.min(1.0, object.userData.blowApartDistance / (data.maxDistance * 0.6));
-                object.position.x = explosionCenter.x + orbitX * orbitProgress + data.direction.x * (1 - orbitProgress) * object.userData.blowApartDistance * 3;
-                object.position.z = explosionCenter.z + orbitZ * orbitProgress + data.direction.z * (1 - orbitProgress) * object.userData.blowApartDistance * 3;
-                
-                // Gradual vertical drift (reduced)
-                object.position.y += object.userData.orbitVertical * speed * 0.5;
-                
-                object.userData.blowApartDistance += speed;
-                
-                // Use consistent rotation instead of random for smoothness (MUCH slower)
-                // Scale rotation by force and distance for natural slowing
-                const rotationFactor = data.force * (1 - object.userData.blowApartDistance / data.maxDistance);
-                
-                // Apply less rotation to tables and chairs (if flagged as such)
-                const rotMult = data.isTableOrChair ? 0.5 : 1.0;
-                object.rotation.x += object.userData.rotationDirection.x * rotationFactor * rotMult;
-                object.rotation.y += object.userData.rotationDirection.y * rotationFactor * rotMult;
-                object.rotation.z += object.userData.rotationDirection.z * rotationFactor * rotMult;
-                
-                stillMoving = true;
-            }
+    // When the explosion starts late (playback was seeked past it), this catches up on the
+    // steps that would already have run, so the scene lands in the right state. The rest
+    // runs from updateAudioReactiveElements as the song plays on.
+    // Objects stay where they landed until a reassemble cue
+    blowApartStep = stepBlowApart(getPlaybackTime()) ? stepBlowApart : null;
+};
+
+// Stop the blow-apart simulation if it is still running
+const cancelBlowApart = () => {
+    blowApartStep = null;
+};
+
+// Snapshot the current position, rotation and velocity of every blown-apart object
+const captureBlownApartStates = () => {
+    const states = new Map();
+    blownApartObjects.forEach((body, object) => {
+        states.set(object, {
+            position: object.position.clone(),
+            quaternion: object.quaternion.clone(),
+            velocity: body.velocity.clone()
         });
-        
-        if (stillMoving) {
-            requestAnimationFrame(animateBlowApart);
-        }
-        // Objects will stay in their blown apart positions until 2:15
-        // Return animation is triggered in updateAudioReactiveElements
-    };
-    
-    // Start the blow-apart animation
-    animateBlowApart();
+    });
+    return states;
 };
 
-// Variables for smooth return animation
-let returnAnimationStartTime = 0;
-let returnAnimationDuration = 20000; // 20 seconds for smooth return (doubled from 10)
-let isReturnAnimationActive = false;
+// Forget the saved object states, e.g. when the objects they belong to are disposed
+const resetExplosionState = () => {
+    cancelBlowApart();
+    blownApartObjects = new Map();
+    originalObjectStates = new Map();
+    flashes = [];
+};
 
-// Function to trigger return animation at 2:15
-const triggerReturnAnimation = () => {
-    // Initialize animation state
-    returnAnimationStartTime = Date.now();
-    isReturnAnimationActive = true;
-    
-    // Create a gentle flash of light
-    const scene = document.querySelector('canvas').userData?.scene;
-    if (scene) {
-        const flashLight = new THREE.PointLight(0xffffff, 1, 30);
-        flashLight.position.copy(explosionCenter);
-        flashLight.position.y += 2;
-        scene.add(flashLight);
-        
-        // Fade out the flash very quickly
-        const fadeOutFlash = () => {
-            if (flashLight.intensity > 0.1) {
-                flashLight.intensity *= 0.9;
-                requestAnimationFrame(fadeOutFlash);
-            } else {
-                scene.remove(flashLight);
-            }
-        };
-        setTimeout(fadeOutFlash, 50);
-    }
+// Flash a gentle light as the objects start to return, at song time startTime (ms)
+const triggerReturnAnimation = (scene, startTime) => {
+    createFlash(scene, 1, startTime, 50);
 };
 
-// Function to update return animation each frame
-const updateReturnAnimation = () => {
-    if (!isReturnAnimationActive) return;
-    
-    // Calculate progress (0 to 1)
-    const elapsed = Date.now() - returnAnimationStartTime;
-    const progress = Math.min(1.0, elapsed / returnAnimationDuration);
-    
-    // Smooth easing function for natural movement
-    const easeOutQuint = (t) => 1 - Math.pow(1 - t, 5);
-    const eased = easeOutQuint(progress);
+// Place the blown-apart objects where springs pulling them home from fromStates have taken
+// them after progress (0 to 1) of duration seconds. Each prop keeps the velocity it had
+// when the return started and may overshoot a little; at progress 1 every prop is exactly
+// at its original state.
+const updateReturnAnimation = (fromStates, progress, duration) => {
+    const t = progress * duration;
+    const rotationLeft = springOffset(1, 0, t, duration);
     
     // Update all blown apart objects
-    blownApartObjects.forEach((data, object) => {
+    fromStates.forEach((fromState, object) => {
         // Skip if object was removed
         if (!object.parent) return;
         
@@ -851,131 +880,119 @@ const updateReturnAnimation = () => {
         const originalState = originalObjectStates.get(object);
         if (!originalState) return;
         
-        // Smooth position interpolation
-        const currentPos = object.position.clone();
-        const targetPos = originalState.position;
-        
-        // Use THREE.js Vector3.lerp for smooth interpolation
-        object.position.copy(
-            currentPos.lerp(targetPos, eased)
-        );
-        
-        // Smooth rotation interpolation
-        const lerpAngle = (start, end, t) => {
-            // Normalize angles to avoid multiple rotations
-            const normalize = (angle) => {
-                while (angle > Math.PI) angle -= Math.PI * 2;
-                while (angle < -Math.PI) angle += Math.PI * 2;
-                return angle;
-            };
-            
-            let startAngle = normalize(start);
-            let endAngle = normalize(end);
-            
-            // Find shortest path
-            let diff = endAngle - startAngle;
-            if (Math.abs(diff) > Math.PI) {
-                if (diff > 0) {
-                    diff = diff - Math.PI * 2;
-                } else {
-                    diff = diff + Math.PI * 2;
-                }
-            }
-            
-            return startAngle + diff * t;
-        };
-        
-        // Apply rotation interpolation
-        object.rotation.x = lerpAngle(object.rotation.x, originalState.rotation.x, eased);
-        object.rotation.y = lerpAngle(object.rotation.y, originalState.rotation.y, eased);
-        object.rotation.z = lerpAngle(object.rotation.z, originalState.rotation.z, eased);
+        ['x', 'y', 'z'].forEach(axis => {
+            const offset = fromState.position[axis] - originalState.position[axis];
+            object.position[axis] = originalState.position[axis] + springOffset(offset, fromState.velocity[axis], t, duration);
+        });
+        object.quaternion.slerpQuaternions(originalState.quaternion, fromState.quaternion, rotationLeft);
     });
+};
+
+// Put every blown-apart object back at its exact original position and rotation
+const restoreOriginalObjectStates = () => {
+    cancelBlowApart();
     
-    // End animation when complete
-    if (progress >= 1.0) {
-        isReturnAnimationActive = false;
-        preventSecondExplosion = true; // Prevent further explosions after return
+    blownApartObjects.forEach((body, object) => {
+        if (object.parent) {
+            const originalState = originalObjectStates.get(object);
+            if (originalState) {
+                // Set exact position and rotation
+                object.position.copy(originalState.position);
+                object.rotation.set(
+                    originalState.rotation.x,
+                    originalState.rotation.y,
+                    originalState.rotation.z
+                );
+            }
+        }
         
+        // At rest again, ready for the next explosion
+        body.velocity.set(0, 0, 0);
+        body.angularVelocity.set(0, 0, 0);
+    });
+};
+
+// Blow the scene apart from params.center ([x, y, z]) with params.force, reaching params.radius;
+// reverting puts everything back
+registerCueHandler('explode', {
+    start: (cue, { scene, interiorElements, streetElements }, lateBy) => {
+        // Seeded per cue, so replaying or seeking to the same explosion scatters things the same way
+        const random = createRandom(deriveSeed(scene.userData.sceneSeed, `explode@${cue.time}`));
+        createExplosionEffect(scene, interiorElements, streetElements, random, lateBy, cue.params);
+        console.log(`Triggered explosion effect at ${cue.time}ms`);
+    },
+    revert: () => {
+        restoreOriginalObjectStates();
+    }
+});
+
+// Spring blown-apart objects back to their original states over the cue's duration
+registerCueHandler('reassemble', {
+    start: (cue, { scene }) => {
+        cancelBlowApart();
+        cue.data.fromStates = captureBlownApartStates();
+        triggerReturnAnimation(scene, cue.time);
+        console.log(`Triggered return to original positions at ${cue.time}ms`);
+    },
+    update: (cue, progress) => {
+        updateReturnAnimation(cue.data.fromStates, progress, cue.duration / 1000);
+    },
+    end: () => {
         // Ensure perfect placement at the end
-        blownApartObjects.forEach((data, object) => {
-            if (object.parent) {
-                const originalState = originalObjectStates.get(object);
-                if (originalState) {
-                    // Set exact position and rotation
-                    object.position.copy(originalState.position);
-                    object.rotation.set(
-                        originalState.rotation.x,
-                        originalState.rotation.y,
-                        originalState.rotation.z
-                    );
-                    
-                    // Clear any temporary animation data
-                    delete object.userData.blowApartDistance;
-                    delete object.userData.rotationDirection;
-                    delete object.userData.orbitAngle;
-                    delete object.userData.orbitRadius;
-                    delete object.userData.orbitSpeed;
-                    delete object.userData.orbitVertical;
-                }
-            }
-        });
+        restoreOriginalObjectStates();
+    },
+    revert: (cue) => {
+        // Back to where the objects were when the return started
+        updateReturnAnimation(cue.data.fromStates, 0, cue.duration / 1000);
     }
+});
+
+// Precomputed analyser frame used instead of the live analyser while rendering offline
+let offlineAnalyserFrame = null;
+
+// Feed the next offline frame's frequency data (null returns to the live analyser)
+const setOfflineAnalyserFrame = (frame) => {
+    offlineAnalyserFrame = frame;
 };
 
+// The loaded song's decoded audio
+const getSongBuffer = () => audioSource ? audioSource.buffer : null;
+
 // Update audio-reactive elements based on audio analysis
 const updateAudioReactiveElements = (scene, interiorElements, streetElements, time) => {
-    if (!audioAnalyser || !isAudioPlaying) return;
-    console.log("updateAudioReactiveElements called. Bass Avg:", getAverageFrequency(1, 4), "Mid Avg:", getAverageFrequency(5,20)); // For debugging
+    if (!isSpectrumReady() || !(isAudioPlaying || offlineAnalyserFrame)) return;
     
-    // Update frequency data
-    audioAnalyser.getFrequencyData();
+    // Get current playback time
+    const currentPlaybackTime = getPlaybackTime();
+    
+    // Update frequency data - from the precomputed frame when rendering offline
+    updateSpectrum(currentPlaybackTime / 1000, offlineAnalyserFrame);
     
     // Check current scene from scene userData (set in main.js)
     if (scene.userData && scene.userData.currentScene) {
         updateSceneReference(scene.userData.currentScene);
     }
     
-    // Get current playback time
-    const currentPlaybackTime = Date.now() - audioStartTime;
-    
-    // Only check for scene transition if we're playing audio and current scene is exterior
-    if (!sceneTransitionTriggered && isAudioPlaying && 
-        currentPlaybackTime >= sceneTransitionTime && 
-        scene.userData.transitionToScene && 
-        scene.userData.currentScene === 'exterior') {
-        
-        // Call the transitionToScene function with 'interior' as target
-        scene.userData.transitionToScene('interior');
-        sceneTransitionTriggered = true;
-        console.log("Triggered transition to interior scene at 5 seconds");
-    }
-    
-    // Check for explosion time (1:06) - but only if we haven't prevented further explosions
-    if (!explosionTriggered && !preventSecondExplosion && isAudioPlaying && currentPlaybackTime >= explosionTime) {
-        createExplosionEffect(scene, interiorElements, streetElements);
-        explosionTriggered = true;
-        console.log("Triggered explosion effect at 1:06");
-    }
+    // Find onsets in the new frame and move the beat grid along
+    updateBeatTracker(getMelSpectrum(), currentPlaybackTime / 1000);
     
-    // Check for return to position time (2:15)
-    if (explosionTriggered && !returnTriggered && isAudioPlaying && currentPlaybackTime >= returnToPositionTime) {
-        triggerReturnAnimation();
-        returnTriggered = true;
-        console.log("Triggered return to original positions at 2:15");
-    }
+    // Bring scene transitions, explosions and other cues up to the current time
+    cueContext = { scene, interiorElements, streetElements };
+    updateCueTimeline(cueTimeline, currentPlaybackTime, cueContext);
     
-    // Update return animation if active
-    if (isReturnAnimationActive) {
-        updateReturnAnimation();
+    // Advance the blow-apart animation to the current song time
+    if (blowApartStep && !blowApartStep(currentPlaybackTime)) {
+        blowApartStep = null;
     }
+    updateFlashes(currentPlaybackTime);
     
     // Update lyrics display
     updateLyrics();
     
-    // Get average frequency from different bands
-    const bassAvg = getAverageFrequency(1, 4);    // Bass frequencies
-    const midAvg = getAverageFrequency(5, 20);    // Mid frequencies
-    const highAvg = getAverageFrequency(50, 100); // High frequencies
+    // Get the smoothed level of each band
+    const bassAvg = getBand('bass').level;
+    const midAvg = getBand('mid').level;
+    const highAvg = getBand('high').level;
     
     // Apply global audio-reactive color effect to the entire scene
     applyGlobalAudioEffect(scene, bassAvg, midAvg, highAvg, time);
@@ -1132,18 +1149,11 @@ const applyColorModulation = (object, bassModulation, midModulation, highModulat
     object.material.color.setHSL(hsl.h, hsl.s, hsl.l);
 };
 
-// Get average frequency in a range of the analyzer data
-const getAverageFrequency = (start, end) => {
-    let sum = 0;
-    const length = Math.min(end, audioData.length) - start;
-    
-    if (length <= 0) return 0;
-    
-    for (let i = start; i < Math.min(end, audioData.length); i++) {
-        sum += audioData[i];
-    }
-    
-    return sum / length / 255; // Normalize to 0-1 range
+// Fraction of the particles shown (0-1), lowered by the performance governor on slow devices
+let particleBudget = 1;
+
+const setParticleBudget = (fraction) => {
+    particleBudget = Math.max(0, Math.min(1, fraction));
 };
 
 // Update audio-reactive particles
@@ -1155,9 +1165,12 @@ const updateAudioParticles = (scene, bass, mid, high, time) => {
     
     // Calculate visualization intensity based on audio - reduced impact
     const intensityFactor = 0.3 + (bass + mid + high) * 0.1; // Reduced from 0.2
+    const beat = getBeatState();
+    const visibleParticles = Math.round(elements.particleGroup.children.length * particleBudget);
     
     // Animate particles based on audio frequencies
-    const animateParticles = (particles, frequencyBand, rotationFactor) => {
+    // beatPulse (0-1) swells the particles on the beat grid's beats
+    const animateParticles = (particles, frequencyBand, rotationFactor, beatPulse) => {
         particles.forEach((particle, index) => {
             // Use particle's index to create consistent patterns instead of random flickering
             const particlePhase = index * 0.1;
@@ -1166,7 +1179,7 @@ const updateAudioParticles = (scene, bass, mid, high, time) => {
             
             // Scale with audio and oscillation - gentler changes
             const baseScale = 0.7 + particleOffset * 0.2; // Reduced variation
-            const audioScale = baseScale + frequencyBand * 0.3; // Reduced from 0.5
+            const audioScale = baseScale + frequencyBand * 0.3 + beatPulse * 0.35; // Reduced from 0.5
             particle.scale.set(audioScale, audioScale, audioScale);
             
             // Position animation - MUCH slower and gentler movement
@@ -1208,17 +1221,21 @@ const updateAudioParticles = (scene, bass, mid, high, time) => {
             const audioOpacity = Math.min(0.9, baseOpacity + frequencyBand * 0.2); // Reduced max and impact from 1.0, 0.3
             particle.material.opacity = audioOpacity;
             
-            // Always visible, but opacity and scale changes with audio
-            particle.visible = true;
+            // Visible within the particle budget, with opacity and scale changing with audio
+            particle.visible = particle.userData.particleIndex < visibleParticles;
         });
     };
     
     // Animate different shapes based on different frequency bands
     // Reduced rotation factors
-    animateParticles(elements.particles.tetrahedrons, bass, 0.4);     // Reduced from 0.8
-    animateParticles(elements.particles.octahedrons, mid, 0.3);       // Reduced from 0.6
-    animateParticles(elements.particles.dodecahedrons, high, 0.2);    // Reduced from 0.4
-    animateParticles(elements.particles.icosahedrons, (bass + mid + high) / 3, 0.25); // Reduced from 0.5
+    // Tetrahedrons pulse on every beat, icosahedrons on the first beat of each bar,
+    // octahedrons on the off-beats (halfway between beats)
+    const barPulse = beat.beatInBar === 0 ? beat.beatPulse : 0;
+    const offBeatPulse = beat.locked ? Math.max(0, 1 - Math.abs(beat.beatPhase - 0.5) * 8) : 0;
+    animateParticles(elements.particles.tetrahedrons, bass, 0.4, beat.beatPulse);     // Reduced from 0.8
+    animateParticles(elements.particles.octahedrons, mid, 0.3, offBeatPulse);       // Reduced from 0.6
+    animateParticles(elements.particles.dodecahedrons, high, 0.2, 0);    // Reduced from 0.4
+    animateParticles(elements.particles.icosahedrons, (bass + mid + high) / 3, 0.25, barPulse); // Reduced from 0.5
     
     // Handle particles that moved too far away
     const maxDistance = 18;
@@ -1226,9 +1243,9 @@ const updateAudioParticles = (scene, bass, mid, high, time) => {
         const distance = particle.position.length();
         if (distance > maxDistance) {
             // Reset particle position (bring it back into the scene)
-            const x = (Math.random() - 0.5) * 15;
-            const y = Math.random() * 5 + 1.5;
-            const z = (Math.random() - 0.5) * 15 - 5;
+            const x = (elements.random() - 0.5) * 15;
+            const y = elements.random() * 5 + 1.5;
+            const z = (elements.random() - 0.5) * 15 - 5;
             particle.position.set(x, y, z);
         }
     });
@@ -1277,10 +1294,11 @@ const updateFurnitureReactions = (interiorElements, bass, mid, high, time) => {
         });
     }
     
-    // Make speakers pulse with mid frequencies
+    // Make speakers thump on the beat once the tempo is known, and pulse with mid frequencies before that
     if (interiorElements.speakers) {
+        const beat = getBeatState();
         interiorElements.speakers.forEach(speaker => {
-            const scale = 1.0 + mid * 0.2;
+            const scale = beat.locked ? 1.0 + beat.beatPulse * 0.2 + mid * 0.05 : 1.0 + mid * 0.2;
             speaker.scale.set(scale, scale, scale);
         });
     }
@@ -1315,24 +1333,16 @@ const startAudioFromSplash = () => {
             if (audioListener.context.state === 'suspended') {
                 audioListener.context.resume().then(() => {
                     console.log('Audio context resumed from splash start');
-                    if (audioSource) audioSource.play();
+                    startPlayback();
                     isAudioPlaying = true;
-                    audioStartTime = Date.now();
-                    currentStanzaIndex = -1;
-                    currentLineIndex = -1;
-                    if (stanzaFadeTimeout) clearTimeout(stanzaFadeTimeout);
-                    // Consider resetting other relevant flags if needed
+                    resetLyricsDisplay();
                 }).catch(error => {
                     console.error('Error resuming audio context from splash:', error);
                 });
             } else {
-                if (audioSource) audioSource.play();
+                startPlayback();
                 isAudioPlaying = true;
-                audioStartTime = Date.now();
-                currentStanzaIndex = -1;
-                currentLineIndex = -1;
-                if (stanzaFadeTimeout) clearTimeout(stanzaFadeTimeout);
-                 // Consider resetting other relevant flags if needed
+                resetLyricsDisplay();
             }
         } catch (error) {
             console.error('Error playing audio from splash:', error);
@@ -1344,7 +1354,15 @@ export {
     setupAudio, 
     createAudioReactiveElements, 
     updateAudioReactiveElements,
+    disposeAudioReactiveElements,
+    resetExplosionState,
     updateSceneReference,
     setSceneReference,
-    startAudioFromSplash
+    startAudioFromSplash,
+    loadSong,
+    showErrorMessage,
+    getSongOutput,
+    getSongBuffer,
+    setOfflineAnalyserFrame,
+    setParticleBudget
 }; 
\ No newline at end of file
@@ -0,0 +1,244 @@
+// beat.js - Onset detection and beat tracking over the mel spectrum, with beat and bar events
+
+// Tempos outside this range are folded into it by doubling or halving. The range spans
+// exactly one octave, so every tempo has one place in it.
+const MIN_BPM = 75;
+const MAX_BPM = 150;
+const BEATS_PER_BAR = 4;
+
+const FLUX_HISTORY_SECONDS = 1.5; // Window for the adaptive onset threshold
+const ONSET_SENSITIVITY = 1.5; // Standard deviations above the mean flux that count as an onset
+const MIN_ONSET_GAP = 0.1; // Seconds; closer onsets are one onset
+const INTERVAL_WINDOW = 2.5; // Seconds back from each onset that its intervals are measured
+const HISTOGRAM_DECAY = 0.97; // Per onset, so the tempo follows a song that changes
+const PHASE_CORRECTION = 0.25; // Share of an onset's distance from the beat grid corrected per onset
+const MIN_CONFIDENCE = 0.12; // Share of the tempo votes the winning tempo needs to drive beats
+const PULSE_DECAY = 8; // beatPulse falls to 1/e this many times a second
+
+// Onset detection
+let previousSpectrum = null;
+let fluxHistory = []; // { time, flux }
+let onsetTimes = [];
+let lastOnsetTime = -Infinity;
+let lastFluxValue = 0;
+let fluxSinceBeat = 0; // Strongest flux since the last beat, how accented that beat was
+
+// Tempo: votes for every whole BPM in the range
+let tempoVotes = new Float32Array(MAX_BPM - MIN_BPM);
+let bpm = 0;
+let confidence = 0;
+
+// Beat grid
+let lastBeatTime = null;
+let nextBeatTime = null;
+let beatCount = 0;
+let barAccents = new Float32Array(BEATS_PER_BAR); // How accented each beat of the bar tends to be
+let downbeat = 0; // Which beat count (mod BEATS_PER_BAR) starts a bar
+let lastUpdateTime = null;
+
+const beatListeners = [];
+const barListeners = [];
+
+// Call callback({ beat, beatInBar, bpm, time }) on every beat
+const onBeat = (callback) => {
+    beatListeners.push(callback);
+};
+
+// Call callback({ bar, bpm, time }) on every bar's first beat
+const onBar = (callback) => {
+    barListeners.push(callback);
+};
+
+// Forget the beat grid, e.g. after a seek; the tempo estimate stays
+const resetBeatGrid = () => {
+    previousSpectrum = null;
+    fluxHistory = [];
+    onsetTimes = [];
+    lastOnsetTime = -Infinity;
+    lastFluxValue = 0;
+    fluxSinceBeat = 0;
+    lastBeatTime = null;
+    nextBeatTime = null;
+    lastUpdateTime = null;
+};
+
+// Forget everything, e.g. when another song is loaded
+const resetBeatTracker = () => {
+    resetBeatGrid();
+    tempoVotes = new Float32Array(MAX_BPM - MIN_BPM);
+    bpm = 0;
+    confidence = 0;
+    beatCount = 0;
+    barAccents = new Float32Array(BEATS_PER_BAR);
+    downbeat = 0;
+};
+
+// Spectral flux: how much louder the spectrum got since the last frame, with the
+// lowest quarter of the bands (kick and bass) counting double
+const measureFlux = (spectrum) => {
+    let flux = 0;
+    if (previousSpectrum) {
+        const bassBands = Math.floor(spectrum.length / 4);
+        for (let i = 0; i < spectrum.length; i++) {
+            const rise = spectrum[i] - previousSpectrum[i];
+            if (rise > 0) flux += rise * (i < bassBands ? 2 : 1);
+        }
+        flux /= spectrum.length;
+    }
+    previousSpectrum = Float32Array.from(spectrum);
+    return flux;
+};
+
+// Fold a beat interval (seconds) into the tempo range
+const intervalToBpm = (interval) => {
+    let tempo = 60 / interval;
+    while (tempo < MIN_BPM) tempo *= 2;
+    while (tempo >= MAX_BPM) tempo /= 2;
+    return tempo;
+};
+
+// Vote for the tempos that the intervals from this onset back to the recent ones suggest
+const voteTempo = (time) => {
+    tempoVotes.forEach((votes, i) => {
+        tempoVotes[i] = votes * HISTOGRAM_DECAY;
+    });
+    onsetTimes.forEach(onsetTime => {
+        const interval = time - onsetTime;
+        if (interval < MIN_ONSET_GAP || interval > INTERVAL_WINDOW) return;
+        const tempo = intervalToBpm(interval);
+        // Spread each vote over the neighbouring tempos, since onsets are only frame-accurate
+        for (let i = 0; i < tempoVotes.length; i++) {
+            const difference = MIN_BPM + i - tempo;
+            tempoVotes[i] += Math.exp(-difference * difference / 4);
+        }
+    });
+
+    let best = 0;
+    let total = 0;
+    tempoVotes.forEach((votes, i) => {
+        total += votes;
+        if (votes > tempoVotes[best]) best = i;
+    });
+    if (total === 0) return;
+
+    // Between whole BPMs, from the peak's neighbours
+    const left = tempoVotes[Math.max(0, best - 1)];
+    const right = tempoVotes[Math.min(tempoVotes.length - 1, best + 1)];
+    const curvature = left - 2 * tempoVotes[best] + right;
+    const offset = curvature < 0 ? 0.5 * (left - right) / curvature : 0;
+    bpm = MIN_BPM + best + offset;
+
+    // The peak's share of the votes, counting its neighbours as part of it
+    confidence = (left + tempoVotes[best] + right) / total;
+};
+
+// Move the beat grid a little towards an onset that lands near a beat
+const alignBeatGrid = (time) => {
+    const period = 60 / bpm;
+    if (nextBeatTime === null) {
+        lastBeatTime = time - period;
+        nextBeatTime = time;
+        return;
+    }
+    const nearestBeat = time - lastBeatTime < nextBeatTime - time ? lastBeatTime : nextBeatTime;
+    const error = time - nearestBeat;
+    if (Math.abs(error) < period * 0.25) {
+        lastBeatTime += error * PHASE_CORRECTION;
+        nextBeatTime += error * PHASE_CORRECTION;
+    }
+};
+
+const isLocked = () => bpm > 0 && confidence >= MIN_CONFIDENCE;
+
+// Emit every beat the grid has passed by time, keeping it at the current tempo
+const advanceBeatGrid = (time) => {
+    const period = 60 / bpm;
+    while (nextBeatTime !== null && time >= nextBeatTime) {
+        lastBeatTime = nextBeatTime;
+        nextBeatTime = lastBeatTime + period;
+
+        // Bars start on whichever beat of the four tends to hit hardest
+        const slot = beatCount % BEATS_PER_BAR;
+        barAccents.forEach((accent, i) => {
+            barAccents[i] = accent * 0.98;
+        });
+        barAccents[slot] += fluxSinceBeat;
+        fluxSinceBeat = 0;
+        if (barAccents[slot] > barAccents[downbeat]) downbeat = slot;
+
+        const beatInBar = (beatCount - downbeat + BEATS_PER_BAR) % BEATS_PER_BAR;
+        const beat = { beat: beatCount, beatInBar, bpm, time: lastBeatTime };
+        beatListeners.forEach(callback => callback(beat));
+        if (beatInBar === 0) {
+            const bar = { bar: Math.floor(beatCount / BEATS_PER_BAR), bpm, time: lastBeatTime };
+            barListeners.forEach(callback => callback(bar));
+        }
+        beatCount++;
+    }
+};
+
+// Feed one frame's band levels (0-1, e.g. getMelSpectrum()) at the given song time in seconds
+const updateBeatTracker = (spectrum, time) => {
+    // A jump back or far ahead is a seek; the onsets before it say nothing about the beat after it
+    if (lastUpdateTime !== null && (time < lastUpdateTime || time - lastUpdateTime > 1)) {
+        resetBeatGrid();
+    }
+    lastUpdateTime = time;
+
+    const flux = measureFlux(spectrum);
+    fluxSinceBeat = Math.max(fluxSinceBeat, flux);
+    fluxHistory.push({ time, flux });
+    while (fluxHistory.length > 0 && fluxHistory[0].time < time - FLUX_HISTORY_SECONDS) fluxHistory.shift();
+
+    // An onset is the flux peaking well above its recent level
+    const mean = fluxHistory.reduce((sum, entry) => sum + entry.flux, 0) / fluxHistory.length;
+    const variance = fluxHistory.reduce((sum, entry) => sum + (entry.flux - mean) ** 2, 0) / fluxHistory.length;
+    const threshold = mean + ONSET_SENSITIVITY * Math.sqrt(variance) + 0.002;
+    const rising = flux > lastFluxValue;
+    lastFluxValue = flux;
+
+    if (rising && flux > threshold && time - lastOnsetTime >= MIN_ONSET_GAP) {
+        lastOnsetTime = time;
+        voteTempo(time);
+        onsetTimes.push(time);
+        while (onsetTimes[0] < time - INTERVAL_WINDOW) onsetTimes.shift();
+        if (isLocked()) alignBeatGrid(time);
+    }
+
+    if (isLocked()) {
+        advanceBeatGrid(time);
+    } else {
+        lastBeatTime = null;
+        nextBeatTime = null;
+    }
+};
+
+// Where the music is on the beat grid. Without a confident tempo (locked false) the
+// phases stay at 0 and beatPulse at 0, so beat-synced animation rests.
+//   bpm, confidence  - tempo estimate and the share of votes behind it
+//   beatPhase        - 0 on a beat, rising to 1 just before the next
+//   barPhase         - the same across a bar of four beats
+//   beatInBar        - 0-3, 0 being the bar's first beat
+//   beatCount        - beats since the grid started
+//   beatPulse        - 1 on a beat, decaying towards 0 until the next
+const getBeatState = () => {
+    if (!isLocked() || lastBeatTime === null) {
+        return { bpm, confidence, locked: false, beatPhase: 0, barPhase: 0, beatInBar: 0, beatCount, beatPulse: 0 };
+    }
+    const period = 60 / bpm;
+    const sinceBeat = Math.max(0, lastUpdateTime - lastBeatTime);
+    const beatPhase = Math.min(sinceBeat / period, 0.999);
+    const beatInBar = (beatCount - 1 - downbeat + BEATS_PER_BAR * 2) % BEATS_PER_BAR;
+    return {
+        bpm,
+        confidence,
+        locked: true,
+        beatPhase,
+        barPhase: (beatInBar + beatPhase) / BEATS_PER_BAR,
+        beatInBar,
+        beatCount,
+        beatPulse: Math.exp(-sinceBeat * PULSE_DECAY)
+    };
+};
+
+export { updateBeatTracker, resetBeatTracker, getBeatState, onBeat, onBar };
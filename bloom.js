@@ -0,0 +1,158 @@
+// bloom.js - Selective bloom: only objects tagged as emissive bleed light
+
+import * as THREE from 'three';
+import { createShaderPass } from './postprocessing.js';
+
+// Emissive objects are also put on this layer; only they glow in the bloom pass
+const BLOOM_LAYER = 1;
+const bloomLayers = new THREE.Layers();
+bloomLayers.set(BLOOM_LAYER);
+
+// Black stand-ins for the other objects' materials in the bloom pass, by wireframe and side
+const blackMaterials = new Map();
+const getBlackMaterial = (material) => {
+    const key = `${material.wireframe}:${material.side}`;
+    if (!blackMaterials.has(key)) {
+        blackMaterials.set(key, new THREE.MeshBasicMaterial({ color: 0x000000, wireframe: material.wireframe, side: material.side }));
+    }
+    return blackMaterials.get(key);
+};
+
+// For the bloom pass, draw every mesh that isn't emissive in black, so walls and props still
+// hide the emissive objects behind them, and hide lines, points and sprites, as well as
+// surfaces that don't write depth (glows), which hide nothing. Returns a function that undoes it.
+const blackOutNonEmissive = (scene) => {
+    const materials = new Map();
+    const hidden = [];
+    scene.traverseVisible(object => {
+        if (object.layers.test(bloomLayers) || !object.material) return;
+        const firstMaterial = Array.isArray(object.material) ? object.material[0] : object.material;
+        if (!object.isMesh || !firstMaterial.depthWrite) {
+            hidden.push(object);
+            return;
+        }
+        if (!firstMaterial.colorWrite) return; // Depth only already
+        materials.set(object, object.material);
+        object.material = Array.isArray(object.material)
+            ? object.material.map(getBlackMaterial)
+            : getBlackMaterial(object.material);
+    });
+    hidden.forEach(object => { object.visible = false; });
+
+    return () => {
+        materials.forEach((material, object) => { object.material = material; });
+        hidden.forEach(object => { object.visible = true; });
+    };
+};
+
+// Tag an object and all its children as emissive
+const markEmissive = (object) => {
+    object.traverse(child => child.layers.enable(BLOOM_LAYER));
+    object.userData.emissive = true;
+};
+
+// One direction of a 9-tap Gaussian blur, stepping whole texels so the glow stays blocky
+const createBlurPass = (direction) => createShaderPass({
+    name: 'bloomBlur',
+    uniforms: {
+        direction: { value: direction },
+        resolution: { value: new THREE.Vector2(1, 1) }
+    },
+    fragmentShader: `
+        uniform sampler2D tDiffuse;
+        uniform vec2 direction;
+        uniform vec2 resolution;
+
+        varying vec2 vUv;
+
+        void main() {
+            vec2 texelStep = direction / resolution;
+            vec4 sum = texture2D(tDiffuse, vUv) * 0.227027;
+            sum += (texture2D(tDiffuse, vUv + texelStep) + texture2D(tDiffuse, vUv - texelStep)) * 0.1945946;
+            sum += (texture2D(tDiffuse, vUv + texelStep * 2.0) + texture2D(tDiffuse, vUv - texelStep * 2.0)) * 0.1216216;
+            sum += (texture2D(tDiffuse, vUv + texelStep * 3.0) + texture2D(tDiffuse, vUv - texelStep * 3.0)) * 0.054054;
+            sum += (texture2D(tDiffuse, vUv + texelStep * 4.0) + texture2D(tDiffuse, vUv - texelStep * 4.0)) * 0.016216;
+            gl_FragColor = sum;
+        }
+    `
+});
+
+// Render the emissive objects at half the post-processing size, blur them and add them over
+// the frame. The rest of the scene is drawn in black in the same render, so whatever is in
+// front of an emissive object (or its lights) still hides it. The half-size glow is scaled
+// up without filtering, so it is as pixelated as the scene. Put it first in the chain so the
+// glow is curved and trailed like the rest.
+const createBloomPass = (scene, camera, { blurIterations = 2 } = {}) => {
+    const glowOptions = {
+        minFilter: THREE.NearestFilter,
+        magFilter: THREE.NearestFilter,
+        format: THREE.RGBAFormat,
+        type: THREE.HalfFloatType
+    };
+    const glowA = new THREE.WebGLRenderTarget(1, 1, glowOptions);
+    const glowB = new THREE.WebGLRenderTarget(1, 1, glowOptions);
+    const blurX = createBlurPass(new THREE.Vector2(1, 0));
+    const blurY = createBlurPass(new THREE.Vector2(0, 1));
+
+    const composite = createShaderPass({
+        name: 'bloom',
+        uniforms: {
+            tBloom: { value: glowA.texture },
+            bloomStrength: { value: 1.0 } // Set every frame from the bass level
+        },
+        fragmentShader: `
+            uniform sampler2D tDiffuse;
+            uniform sampler2D tBloom;
+            uniform float bloomStrength;
+
+            varying vec2 vUv;
+
+            void main() {
+                vec4 texel = texture2D(tDiffuse, vUv);
+                gl_FragColor = vec4(texel.rgb + texture2D(tBloom, vUv).rgb * bloomStrength, texel.a);
+            }
+        `
+    });
+
+    return {
+        ...composite,
+        render: (renderer, inputTexture, target, frame) => {
+            // 1. Emissive objects in color, everything else black, on black
+            const background = scene.background;
+            const layerMask = camera.layers.mask;
+            scene.background = null;
+            camera.layers.enable(BLOOM_LAYER);
+            const restoreMaterials = blackOutNonEmissive(scene);
+            renderer.setRenderTarget(glowA);
+            renderer.render(scene, camera);
+            restoreMaterials();
+            scene.background = background;
+            camera.layers.mask = layerMask;
+
+            // 2. Spread them out, ending back in glowA
+            for (let i = 0; i < blurIterations; i++) {
+                blurX.render(renderer, glowA.texture, glowB, frame);
+                blurY.render(renderer, glowB.texture, glowA, frame);
+            }
+
+            // 3. Add the glow to the frame
+            composite.render(renderer, inputTexture, target, frame);
+        },
+        setSize: (width, height) => {
+            const glowWidth = Math.max(1, Math.floor(width / 2));
+            const glowHeight = Math.max(1, Math.floor(height / 2));
+            glowA.setSize(glowWidth, glowHeight);
+            glowB.setSize(glowWidth, glowHeight);
+            blurX.setSize(glowWidth, glowHeight);
+            blurY.setSize(glowWidth, glowHeight);
+        },
+        dispose: () => {
+            [glowA, glowB].forEach(glow => glow.dispose());
+            [composite, blurX, blurY].forEach(pass => pass.dispose());
+            blackMaterials.forEach(material => material.dispose());
+            blackMaterials.clear();
+        }
+    };
+};
+
+export { BLOOM_LAYER, markEmissive, createBloomPass };
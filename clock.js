@@ -0,0 +1,124 @@
+// clock.js - Song playback clock driven by the Web Audio context
+
+// The THREE.Audio whose playback this clock follows
+let audio = null;
+
+// The song position (ms) at a known context time (s); while playing the
+// position advances from there at the playback rate
+let anchorSongTime = 0;
+let anchorContextTime = 0;
+let playbackRate = 1;
+let running = false;
+
+// Fixed song position (ms) set by the offline renderer, overriding the audio context
+let manualTime = null;
+
+// Follow the given THREE.Audio; the clock starts stopped at the beginning of the song
+const attachPlaybackClock = (audioSource) => {
+    audio = audioSource;
+    resetPlaybackClock();
+};
+
+// Stop and rewind to the beginning, e.g. when a new song is loaded
+const resetPlaybackClock = () => {
+    if (audio && audio.isPlaying) audio.stop();
+    running = false;
+    anchorSongTime = 0;
+};
+
+// Length of the loaded song in milliseconds (0 until a buffer is set)
+const getPlaybackDuration = () => {
+    return audio && audio.buffer ? audio.buffer.duration * 1000 : 0;
+};
+
+// Current song position in milliseconds
+const getPlaybackTime = () => {
+    if (manualTime !== null) return manualTime;
+    if (!running) return anchorSongTime;
+
+    const elapsed = (audio.context.currentTime - anchorContextTime) * 1000 * playbackRate;
+    return Math.min(anchorSongTime + Math.max(0, elapsed), getPlaybackDuration());
+};
+
+const isPlaybackRunning = () => running;
+
+// Start the audio source at the clock's position. THREE.Audio's own pause()
+// keeps a private progress counter that ignores rate changes, so every start
+// goes through stop() and an explicit offset instead.
+const startSourceAt = (songTime) => {
+    if (audio.isPlaying) audio.stop();
+    audio.offset = songTime / 1000;
+    audio.play();
+
+    anchorSongTime = songTime;
+    anchorContextTime = audio.context.currentTime;
+};
+
+// Start or resume playback from the current position
+const startPlayback = () => {
+    if (!audio || !audio.buffer || running) return;
+
+    // Playing from the very end starts the song over
+    if (anchorSongTime >= getPlaybackDuration()) anchorSongTime = 0;
+
+    startSourceAt(anchorSongTime);
+    running = true;
+};
+
+// Pause playback, holding the current position
+const pausePlayback = () => {
+    if (!running) return;
+
+    anchorSongTime = getPlaybackTime();
+    running = false;
+    audio.stop();
+};
+
+// Move to a position in milliseconds, keeping the playing/paused state
+const seekPlayback = (songTime) => {
+    const target = Math.max(0, Math.min(songTime, getPlaybackDuration()));
+
+    if (running) {
+        startSourceAt(target);
+    } else {
+        anchorSongTime = target;
+    }
+};
+
+// Change the playback speed (1 = normal) without moving the position
+const setPlaybackRate = (rate) => {
+    if (running) {
+        anchorSongTime = getPlaybackTime();
+        anchorContextTime = audio.context.currentTime;
+    }
+    playbackRate = rate;
+    if (audio) audio.setPlaybackRate(rate);
+};
+
+const getPlaybackRate = () => playbackRate;
+
+// Pin the clock to a song time for frame-by-frame offline rendering; null hands it back to the audio context
+const setManualPlaybackTime = (songTime) => {
+    manualTime = songTime;
+};
+
+// Called when the audio source reaches the end of the song by itself
+const endPlayback = () => {
+    running = false;
+    anchorSongTime = getPlaybackDuration();
+};
+
+export {
+    attachPlaybackClock,
+    resetPlaybackClock,
+    getPlaybackDuration,
+    getPlaybackTime,
+    isPlaybackRunning,
+    startPlayback,
+    pausePlayback,
+    seekPlayback,
+    setPlaybackRate,
+    getPlaybackRate,
+    setManualPlaybackTime,
+    endPlayback
+};
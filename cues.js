@@ -0,0 +1,89 @@
+// cues.js - Declarative cue timeline for timed scene events
+
+// Handlers by cue type. Each handler may define any of:
+//   start(cue, context, lateBy)    - the cue's start time was reached; lateBy is how many ms
+//                                    past it playback already is (large after a seek)
+//   update(cue, progress, context) - called while active with progress 0-1
+//   end(cue, context)              - the cue's duration has elapsed
+//   revert(cue, context)           - playback moved back before the cue's start
+// cue.data is scratch space a handler can use to remember what it changed
+const cueHandlers = new Map();
+
+// Register the handler for a cue type, replacing any existing one
+const registerCueHandler = (type, handler) => {
+    cueHandlers.set(type, handler);
+};
+
+// Build a timeline from { type, time, duration, params } cues with times in milliseconds
+const createCueTimeline = (cues = []) => ({
+    cues: cues
+        .map(cue => ({
+            type: cue.type,
+            time: cue.time,
+            duration: cue.duration || 0,
+            params: cue.params || {},
+            state: 'pending', // 'pending' | 'active' | 'done'
+            data: {}
+        }))
+        .sort((a, b) => a.time - b.time)
+});
+
+// Call one of a cue's handler functions if its type has one
+const callCueHandler = (cue, method, ...args) => {
+    const handler = cueHandlers.get(cue.type);
+    if (!handler) {
+        if (method === 'start') console.warn(`No handler registered for cue type "${cue.type}"`);
+        return;
+    }
+    if (handler[method]) handler[method](cue, ...args);
+};
+
+// Bring every cue to the state it should be in at the given playback time.
+// Works for normal playback, seeking in either direction and restarting,
+// since each cue's state depends only on the time and not on what came before.
+const updateCueTimeline = (timeline, time, context) => {
+    const { cues } = timeline;
+
+    // Undo cues that now lie in the future, latest first so earlier cues see their own result
+    for (let i = cues.length - 1; i >= 0; i--) {
+        const cue = cues[i];
+        if (cue.state !== 'pending' && time < cue.time) {
+            callCueHandler(cue, 'revert', context);
+            cue.state = 'pending';
+            cue.data = {};
+        }
+    }
+
+    // Start, update and finish cues in time order
+    cues.forEach(cue => {
+        if (time < cue.time) return;
+
+        if (cue.state === 'pending') {
+            callCueHandler(cue, 'start', context, time - cue.time);
+            cue.state = 'active';
+        }
+
+        const end = cue.time + cue.duration;
+        if (time < end) {
+            // Seeking back into a finished cue makes it active again
+            cue.state = 'active';
+            callCueHandler(cue, 'update', (time - cue.time) / cue.duration, context);
+        } else if (cue.state === 'active') {
+            callCueHandler(cue, 'update', 1, context);
+            callCueHandler(cue, 'end', context);
+            cue.state = 'done';
+        }
+    });
+};
+
+// Revert every cue that has started, returning the timeline to the beginning of the song
+const resetCueTimeline = (timeline, context) => {
+    updateCueTimeline(timeline, -Infinity, context);
+};
+
+export {
+    registerCueHandler,
+    createCueTimeline,
+    updateCueTimeline,
+    resetCueTimeline
+};
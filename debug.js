@@ -0,0 +1,99 @@
+// debug.js - Debug overlay with scene details and a GPU memory leak check, toggled with the backquote key or ?debug in the URL
+
+import { isTypingInField } from './settings.js';
+
+// Values shown in the overlay, one line each, in the order they were first set
+const debugValues = new Map();
+
+let overlay = null;
+
+// Redraw the overlay from the current values
+const renderDebugOverlay = () => {
+    if (!overlay) return;
+    overlay.textContent = Array.from(debugValues, ([label, value]) => `${label}: ${value}`).join('\n');
+};
+
+// Set (or replace) one line of the overlay
+const setDebugValue = (label, value) => {
+    debugValues.set(label, value);
+    renderDebugOverlay();
+};
+
+const isDebugOverlayVisible = () => overlay !== null && overlay.style.display !== 'none';
+
+// Create the overlay in the bottom-left corner, above the transport bar
+const createDebugOverlay = () => {
+    if (overlay) return;
+
+    overlay = document.createElement('div');
+    overlay.style.position = 'absolute';
+    overlay.style.bottom = '70px';
+    overlay.style.left = '20px';
+    overlay.style.padding = '8px';
+    overlay.style.backgroundColor = 'rgba(0,0,0,0.7)';
+    overlay.style.color = '#00ff00';
+    overlay.style.fontFamily = 'monospace';
+    overlay.style.fontSize = '12px';
+    overlay.style.whiteSpace = 'pre';
+    overlay.style.borderRadius = '5px';
+    overlay.style.zIndex = '1000';
+    overlay.style.pointerEvents = 'none';
+    overlay.style.display = new URLSearchParams(window.location.search).has('debug') ? 'block' : 'none';
+    document.body.appendChild(overlay);
+    renderDebugOverlay();
+
+    // Backquote (`) shows and hides the overlay
+    document.addEventListener('keydown', (event) => {
+        if (isTypingInField(event)) return;
+        if (event.code === 'Backquote') {
+            overlay.style.display = isDebugOverlayVisible() ? 'none' : 'block';
+        }
+    });
+};
+
+const MEMORY_SAMPLE_SECONDS = 10;
+const LEAK_SAMPLES = 6; // Counts rising at every one of this many samples look like a leak
+
+// Show the renderer's GPU memory counts, with the change since the first sample, and flag
+// ones that keep rising. Once the scene is built the counts only wobble as cars come and
+// go, so steady growth means something is created and never disposed.
+// Call update(deltaTime) once a frame.
+const createMemoryLeakCheck = (renderer) => {
+    const samples = [];
+    let first = null;
+    let elapsed = 0;
+
+    const sample = () => {
+        const counts = {
+            geometries: renderer.info.memory.geometries,
+            textures: renderer.info.memory.textures,
+            programs: renderer.info.programs ? renderer.info.programs.length : 0
+        };
+        if (!first) first = counts;
+        samples.push(counts);
+        if (samples.length > LEAK_SAMPLES) samples.shift();
+
+        const change = (key) => {
+            const difference = counts[key] - first[key];
+            return difference >= 0 ? `+${difference}` : `${difference}`;
+        };
+        setDebugValue('gpu memory', Object.keys(counts).map(key => `${counts[key]} ${key} (${change(key)})`).join(', '));
+
+        const rising = Object.keys(counts).filter(key => samples.length === LEAK_SAMPLES &&
+            samples.every((entry, i) => i === 0 || entry[key] > samples[i - 1][key]));
+        setDebugValue('leak check', rising.length > 0
+            ? `${rising.join(', ')} rising for ${(LEAK_SAMPLES - 1) * MEMORY_SAMPLE_SECONDS}s`
+            : 'ok');
+    };
+
+    const update = (deltaTime) => {
+        elapsed += deltaTime;
+        if (elapsed < MEMORY_SAMPLE_SECONDS) return;
+        elapsed = 0;
+        sample();
+    };
+
+    return { update };
+};
+
+export { createDebugOverlay, setDebugValue, isDebugOverlayVisible, createMemoryLeakCheck };
@@ -0,0 +1,47 @@
+// disposal.js - Freeing the GPU resources held by generated scene objects
+
+// Every texture a material points at, including shader uniforms
+const collectTextures = (material, textures) => {
+    Object.values(material).forEach(value => {
+        if (value && value.isTexture) textures.add(value);
+    });
+    if (material.uniforms) {
+        Object.values(material.uniforms).forEach(uniform => {
+            if (uniform && uniform.value && uniform.value.isTexture) textures.add(uniform.value);
+        });
+    }
+};
+
+// Take an object out of its parent and dispose the geometries, materials and textures
+// of it and everything under it. Resources shared between meshes are disposed once.
+const disposeObject = (object) => {
+    if (!object) return;
+
+    const geometries = new Set();
+    const materials = new Set();
+    const textures = new Set();
+    object.traverse(child => {
+        if (child.geometry) geometries.add(child.geometry);
+        if (child.material) {
+            (Array.isArray(child.material) ? child.material : [child.material]).forEach(material => {
+                materials.add(material);
+                collectTextures(material, textures);
+            });
+        }
+        // Instanced meshes hold per-instance buffers, lights their shadow maps
+        if (child.isInstancedMesh || child.isLight) child.dispose();
+    });
+
+    geometries.forEach(geometry => geometry.dispose());
+    materials.forEach(material => material.dispose());
+    textures.forEach(texture => texture.dispose());
+
+    if (object.parent) object.parent.remove(object);
+};
+
+// Dispose every child of a container, leaving the container itself in place
+const disposeChildren = (container) => {
+    container.children.slice().forEach(disposeObject);
+};
+
+export { disposeObject, disposeChildren };
@@ -0,0 +1,250 @@
+// gamepad.js - Gamepad polling for camera movement, with bindings remapped in a panel (G) and saved to localStorage
+
+import { createButton, isTypingInField } from './settings.js';
+
+const BINDINGS_STORAGE_KEY = 'karaoke-gamepad-bindings';
+const DEADZONE = 0.15; // Stick travel ignored around the center, so a worn stick doesn't drift
+const CAPTURE_THRESHOLD = 0.6; // How far a stick has to move (or a trigger be pulled) to be picked when remapping
+const CAPTURE_TIMEOUT = 5000; // ms to wait for input when remapping
+
+// What a controller can do. Axis actions read a stick (or any axis) from -1 to 1, button
+// actions a button or trigger. The defaults follow the browser's standard mapping:
+// left stick moves, right stick looks, right trigger sprints, Y/triangle switches walk mode.
+const GAMEPAD_ACTIONS = [
+    { key: 'moveForward', label: 'Move forward', type: 'axis', prompt: 'push a stick forward', defaultBinding: { type: 'axis', index: 1, invert: true } },
+    { key: 'moveRight', label: 'Move right', type: 'axis', prompt: 'push a stick right', defaultBinding: { type: 'axis', index: 0, invert: false } },
+    { key: 'lookRight', label: 'Look right', type: 'axis', prompt: 'push a stick right', defaultBinding: { type: 'axis', index: 2, invert: false } },
+    { key: 'lookUp', label: 'Look up', type: 'axis', prompt: 'push a stick up', defaultBinding: { type: 'axis', index: 3, invert: true } },
+    { key: 'sprint', label: 'Sprint', type: 'button', prompt: 'press a button or trigger', defaultBinding: { type: 'button', index: 7 } },
+    { key: 'walkMode', label: 'Walk mode', type: 'button', prompt: 'press a button', defaultBinding: { type: 'button', index: 3 } }
+];
+
+let bindings = null; // Loaded on first use
+let previousButtons = {}; // Each button action's state last poll, for presses
+let captureActive = false;
+
+// Panel elements
+let panel = null;
+let bindingLabels = {};
+
+const getDefaultBindings = () => Object.fromEntries(
+    GAMEPAD_ACTIONS.map(action => [action.key, { ...action.defaultBinding }])
+);
+
+// Read the saved bindings over the defaults; a broken entry counts as none
+const loadGamepadBindings = () => {
+    bindings = getDefaultBindings();
+    try {
+        const saved = JSON.parse(localStorage.getItem(BINDINGS_STORAGE_KEY)) || {};
+        GAMEPAD_ACTIONS.forEach(action => {
+            const binding = saved[action.key];
+            if (binding && binding.type === action.type && Number.isInteger(binding.index)) {
+                bindings[action.key] = binding;
+            }
+        });
+    } catch (error) {
+        console.warn('Ignoring unreadable gamepad bindings:', error);
+    }
+    return bindings;
+};
+
+// Save the bindings; when storage is full or blocked they only last until the page is closed
+const saveBindings = () => {
+    try {
+        localStorage.setItem(BINDINGS_STORAGE_KEY, JSON.stringify(bindings));
+    } catch (error) {
+        console.warn('Could not save gamepad bindings:', error);
+    }
+};
+
+const describeBinding = (binding) => binding.type === 'axis'
+    ? `axis ${binding.index}${binding.invert ? ' (inverted)' : ''}`
+    : `button ${binding.index}`;
+
+const refreshBindingLabels = () => {
+    Object.entries(bindingLabels).forEach(([key, label]) => {
+        label.textContent = describeBinding(bindings[key]);
+    });
+};
+
+// Bind action (a GAMEPAD_ACTIONS key) to { type: 'axis', index, invert } or { type: 'button', index }
+const setGamepadBinding = (key, binding) => {
+    const action = GAMEPAD_ACTIONS.find(item => item.key === key);
+    if (!action) throw new Error(`Unknown gamepad action "${key}"`);
+    if (binding.type !== action.type) throw new Error(`${action.label} needs an ${action.type} binding`);
+    if (!bindings) loadGamepadBindings();
+    bindings[key] = { ...binding };
+    saveBindings();
+    refreshBindingLabels();
+};
+
+const resetGamepadBindings = () => {
+    bindings = getDefaultBindings();
+    saveBindings();
+    refreshBindingLabels();
+};
+
+// The first connected gamepad, or null
+const getGamepad = () => {
+    const gamepads = navigator.getGamepads ? navigator.getGamepads() : [];
+    return Array.from(gamepads).find(gamepad => gamepad && gamepad.connected) || null;
+};
+
+// An axis with the deadzone cut out and the rest stretched back to the full -1 to 1
+const readAxis = (gamepad, binding) => {
+    const value = gamepad.axes[binding.index] || 0;
+    const magnitude = Math.max(0, (Math.abs(value) - DEADZONE) / (1 - DEADZONE));
+    return Math.sign(value) * magnitude * (binding.invert ? -1 : 1);
+};
+
+const readButton = (gamepad, binding) => {
+    const button = gamepad.buttons[binding.index];
+    return Boolean(button && (button.pressed || button.value > 0.5));
+};
+
+// Poll the gamepad once a frame. Axis actions are -1 to 1, button actions true while
+// held; pressed holds the button actions that went down since the last poll.
+const readGamepad = () => {
+    if (!bindings) loadGamepadBindings();
+    const gamepad = getGamepad();
+    const state = { connected: Boolean(gamepad), pressed: {} };
+    GAMEPAD_ACTIONS.forEach(action => {
+        const binding = bindings[action.key];
+        if (action.type === 'axis') {
+            state[action.key] = gamepad && !captureActive ? readAxis(gamepad, binding) : 0;
+            return;
+        }
+        const held = gamepad && !captureActive ? readButton(gamepad, binding) : false;
+        state[action.key] = held;
+        state.pressed[action.key] = held && !previousButtons[action.key];
+        previousButtons[action.key] = held;
+    });
+    return state;
+};
+
+// Wait for the next stick movement or button press that suits action and resolve to its
+// binding. Axes are compared to where they were at the start, since some controllers
+// report a released trigger as -1. Rejects after CAPTURE_TIMEOUT without input.
+const captureGamepadBinding = (key) => {
+    const action = GAMEPAD_ACTIONS.find(item => item.key === key);
+    const startGamepad = getGamepad();
+    if (!startGamepad) return Promise.reject(new Error('No gamepad connected; press a button on it first'));
+
+    const restingAxes = startGamepad.axes.slice();
+    const startTime = performance.now();
+    captureActive = true;
+
+    return new Promise((resolve, reject) => {
+        const poll = () => {
+            const gamepad = getGamepad();
+            if (!gamepad) {
+                reject(new Error('The gamepad was disconnected'));
+                return;
+            }
+            if (action.type === 'axis') {
+                const index = gamepad.axes.findIndex((value, i) => Math.abs(value - (restingAxes[i] || 0)) > CAPTURE_THRESHOLD);
+                if (index !== -1) {
+                    resolve({ type: 'axis', index, invert: gamepad.axes[index] < (restingAxes[index] || 0) });
+                    return;
+                }
+            } else {
+                const index = gamepad.buttons.findIndex(button => button.pressed || button.value > CAPTURE_THRESHOLD);
+                if (index !== -1) {
+                    resolve({ type: 'button', index });
+                    return;
+                }
+            }
+            if (performance.now() - startTime > CAPTURE_TIMEOUT) {
+                reject(new Error('Nothing was pressed'));
+                return;
+            }
+            requestAnimationFrame(poll);
+        };
+        poll();
+    }).finally(() => {
+        captureActive = false;
+        // A button still held from the capture isn't a press
+        GAMEPAD_ACTIONS.forEach(item => {
+            previousButtons[item.key] = true;
+        });
+    });
+};
+
+// One action's current binding and its Remap button
+const createBindingRow = (action) => {
+    const row = document.createElement('div');
+    row.style.marginBottom = '6px';
+
+    const label = document.createElement('span');
+    label.textContent = `${action.label}: `;
+    const bindingLabel = document.createElement('span');
+    bindingLabel.style.color = '#0ff';
+    bindingLabels[action.key] = bindingLabel;
+
+    const remapButton = createButton('Remap', () => {
+        bindingLabel.textContent = `${action.prompt}...`;
+        captureGamepadBinding(action.key)
+            .then(binding => setGamepadBinding(action.key, binding))
+            .catch(error => {
+                bindingLabel.textContent = error.message;
+                setTimeout(refreshBindingLabels, 2000);
+            });
+    });
+    remapButton.style.marginLeft = '6px';
+
+    row.appendChild(label);
+    row.appendChild(bindingLabel);
+    row.appendChild(remapButton);
+    return row;
+};
+
+// Load the saved bindings and create the remapping panel, shown and hidden with G
+const createGamepadPanel = () => {
+    if (panel) return;
+    loadGamepadBindings();
+
+    panel = document.createElement('div');
+    panel.style.position = 'absolute';
+    panel.style.top = '20px';
+    panel.style.right = '20px';
+    panel.style.padding = '10px';
+    panel.style.backgroundColor = 'rgba(0,0,0,0.8)';
+    panel.style.color = '#fff';
+    panel.style.fontFamily = 'monospace';
+    panel.style.fontSize = '12px';
+    panel.style.border = '2px solid #666';
+    panel.style.borderRadius = '5px';
+    panel.style.zIndex = '1001';
+    panel.style.display = 'none';
+
+    const title = document.createElement('div');
+    title.textContent = 'GAMEPAD (G to close)';
+    title.style.marginBottom = '8px';
+    panel.appendChild(title);
+
+    const status = document.createElement('div');
+    status.style.marginBottom = '8px';
+    const showStatus = () => {
+        const gamepad = getGamepad();
+        status.textContent = gamepad ? `Connected: ${gamepad.id}` : 'No gamepad - press a button on one to connect it';
+    };
+    showStatus();
+    window.addEventListener('gamepadconnected', showStatus);
+    window.addEventListener('gamepaddisconnected', showStatus);
+    panel.appendChild(status);
+
+    GAMEPAD_ACTIONS.forEach(action => panel.appendChild(createBindingRow(action)));
+    refreshBindingLabels();
+    panel.appendChild(createButton('Reset to defaults', resetGamepadBindings));
+
+    document.body.appendChild(panel);
+
+    document.addEventListener('keydown', (event) => {
+        if (isTypingInField(event)) return;
+        if (event.code === 'KeyG') {
+            panel.style.display = panel.style.display === 'none' ? 'block' : 'none';
+        }
+    });
+};
+
+export { GAMEPAD_ACTIONS, loadGamepadBindings, setGamepadBinding, resetGamepadBindings, readGamepad, captureGamepadBinding, createGamepadPanel };
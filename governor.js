@@ -0,0 +1,107 @@
+// governor.js - Frame-time monitor that trades visual budget for a steady frame rate
+
+// Quality levels from best to cheapest. renderScale multiplies the pixel ratio,
+// particles is the fraction of audio particles shown, lampLights the number of
+// street-lamp PointLights left on.
+const QUALITY_LEVELS = [
+    { renderScale: 1.0, particles: 1.0, feedback: true, lampLights: 4 },
+    { renderScale: 0.85, particles: 1.0, feedback: true, lampLights: 2 },
+    { renderScale: 0.7, particles: 0.6, feedback: true, lampLights: 1 },
+    { renderScale: 0.55, particles: 0.4, feedback: false, lampLights: 0 },
+    { renderScale: 0.4, particles: 0.2, feedback: false, lampLights: 0 }
+];
+
+const SAMPLE_SECONDS = 1; // Frame times are averaged over windows this long
+const SLOW_WINDOWS = 2; // Consecutive slow windows before stepping down
+const MIN_UPGRADE_DELAY = 5; // Seconds on target before trying the next level up
+const MAX_UPGRADE_DELAY = 60;
+
+// Watch frame times and step through QUALITY_LEVELS to hold targetFps.
+// A display's refresh rate caps the frame rate, so headroom can't be measured;
+// instead the governor tries the next level up after a while on target, and
+// waits twice as long before the next try each time that fails.
+// apply(level, index) is called for every change; onStats(stats) after every window.
+const createPerformanceGovernor = ({ targetFps = 60, apply, onStats = null }) => {
+    const frameBudget = 1000 / targetFps;
+    let levelIndex = 0;
+    let enabled = true;
+
+    // Current sample window
+    let windowTime = 0;
+    let windowFrames = 0;
+
+    let slowWindows = 0;
+    let steadyTime = 0;
+    let upgradeDelay = MIN_UPGRADE_DELAY;
+    let probing = false; // Just stepped up to see if the faster level holds
+    let lastDecision = 'starting';
+
+    const setLevel = (index, reason) => {
+        levelIndex = index;
+        lastDecision = reason;
+        slowWindows = 0;
+        steadyTime = 0;
+        apply(QUALITY_LEVELS[levelIndex], levelIndex);
+    };
+
+    // Feed one frame's duration (seconds)
+    const update = (deltaTime) => {
+        // Skip stalls like a hidden tab or a breakpoint, which say nothing about rendering cost
+        if (!enabled || deltaTime <= 0 || deltaTime > 0.5) return;
+
+        windowTime += deltaTime;
+        windowFrames++;
+        if (windowTime < SAMPLE_SECONDS) return;
+
+        const averageFrameTime = windowTime * 1000 / windowFrames;
+        const fps = windowFrames / windowTime;
+        windowTime = 0;
+        windowFrames = 0;
+
+        if (averageFrameTime > frameBudget * 1.15) {
+            slowWindows++;
+            steadyTime = 0;
+            if (probing) {
+                // The level we tried can't hold the target; go back and wait longer before retrying
+                probing = false;
+                upgradeDelay = Math.min(upgradeDelay * 2, MAX_UPGRADE_DELAY);
+                setLevel(levelIndex + 1, `${fps.toFixed(0)} fps after stepping up, back down; next try in ${upgradeDelay}s`);
+            } else if (slowWindows >= SLOW_WINDOWS && levelIndex < QUALITY_LEVELS.length - 1) {
+                setLevel(levelIndex + 1, `${fps.toFixed(0)} fps, below ${targetFps}: stepped down`);
+            }
+        } else {
+            slowWindows = 0;
+            steadyTime += SAMPLE_SECONDS;
+            if (probing && steadyTime >= SAMPLE_SECONDS * SLOW_WINDOWS) {
+                probing = false;
+                upgradeDelay = MIN_UPGRADE_DELAY;
+            }
+            if (!probing && levelIndex > 0 && steadyTime >= upgradeDelay) {
+                probing = true;
+                setLevel(levelIndex - 1, `${fps.toFixed(0)} fps for ${upgradeDelay}s: trying a level up`);
+            }
+        }
+
+        if (onStats) onStats({ fps, averageFrameTime, levelIndex, level: QUALITY_LEVELS[levelIndex], decision: lastDecision });
+    };
+
+    // Go back to full quality and start measuring afresh, e.g. before an offline render
+    const reset = () => {
+        windowTime = 0;
+        windowFrames = 0;
+        probing = false;
+        upgradeDelay = MIN_UPGRADE_DELAY;
+        setLevel(0, 'reset to full quality');
+    };
+
+    // A disabled governor stays at full quality
+    const setEnabled = (value) => {
+        enabled = value;
+        reset();
+        if (!enabled) lastDecision = 'off';
+    };
+
+    return { update, reset, setEnabled, getLevel: () => QUALITY_LEVELS[levelIndex] };
+};
+
+export { QUALITY_LEVELS, createPerformanceGovernor };
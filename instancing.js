@@ -0,0 +1,91 @@
+// instancing.js - One InstancedMesh per repeated prop part, placed through stand-in objects
+
+import * as THREE from 'three';
+import { disposeObject } from './disposal.js';
+
+// Every set built so far, synced each frame by updateInstancedSets
+const instancedSets = [];
+
+// Scratch matrices for syncing
+const parentInverse = new THREE.Matrix4();
+const instanceMatrix = new THREE.Matrix4();
+
+// A part that repeats across props (e.g. every stool seat), drawn with one InstancedMesh.
+// addInstance() returns an empty Group to put where the mesh would have gone; moving,
+// rotating or scaling it (or any of its parents) moves that instance, so the explosion
+// and return animations work on instances like on ordinary meshes. Call build(container)
+// once every instance has been added; the InstancedMesh goes into container, which
+// should be the scene group the props live in so it is shown and hidden with them.
+const createInstancedSet = (geometry, material) => {
+    const handles = [];
+    const colors = [];
+    let mesh = null;
+
+    // color (optional) tints this instance; it multiplies the material color
+    const addInstance = (color = null) => {
+        const handle = new THREE.Group();
+        handle.userData.instanced = true;
+        handle.userData.instanceGeometry = geometry; // For bounds, e.g. the explosion's collisions
+        handles.push(handle);
+        colors.push(color !== null ? new THREE.Color(color) : null);
+        return handle;
+    };
+
+    // Copy each stand-in's transform (relative to the InstancedMesh) into its instance;
+    // force rewrites every instance, otherwise only the ones that moved are uploaded
+    const update = (force = false) => {
+        if (!mesh) return;
+
+        mesh.updateWorldMatrix(true, false);
+        parentInverse.copy(mesh.matrixWorld).invert();
+
+        let changed = force;
+        handles.forEach((handle, index) => {
+            handle.updateWorldMatrix(true, false);
+            instanceMatrix.multiplyMatrices(parentInverse, handle.matrixWorld);
+            if (!force && instanceMatrix.equals(handle.userData.instanceMatrix)) return;
+
+            handle.userData.instanceMatrix.copy(instanceMatrix);
+            mesh.setMatrixAt(index, instanceMatrix);
+            changed = true;
+        });
+
+        if (changed) mesh.instanceMatrix.needsUpdate = true;
+    };
+
+    const build = (container) => {
+        mesh = new THREE.InstancedMesh(geometry, material, handles.length);
+        mesh.name = 'instancedProps';
+        mesh.frustumCulled = false; // Instances move (e.g. when blown apart), so the bounds would go stale
+        const tinted = colors.some(color => color !== null);
+        handles.forEach((handle, index) => {
+            handle.userData.instanceMatrix = new THREE.Matrix4();
+            // Once one instance is tinted they all need a color, so the rest get white
+            if (tinted) mesh.setColorAt(index, colors[index] || new THREE.Color(0xffffff));
+        });
+        container.add(mesh);
+        update(true);
+        instancedSets.push(set);
+        return mesh;
+    };
+
+    const set = { addInstance, build, update, getMesh: () => mesh };
+    return set;
+};
+
+// Sync every set's instances with their stand-ins; call once a frame before rendering
+const updateInstancedSets = () => {
+    instancedSets.forEach(set => set.update());
+};
+
+// Dispose the sets built into container and stop syncing them
+const disposeInstancedSets = (container) => {
+    for (let i = instancedSets.length - 1; i >= 0; i--) {
+        const mesh = instancedSets[i].getMesh();
+        if (mesh.parent !== container) continue;
+        disposeObject(mesh);
+        instancedSets.splice(i, 1);
+    }
+};
+
+export { createInstancedSet, updateInstancedSets, disposeInstancedSets };
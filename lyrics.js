@@ -0,0 +1,203 @@
+// lyrics.js - Loading and parsing of LRC / enhanced-LRC lyric files
+
+import * as THREE from 'three';
+
+// Line time tags: [mm:ss], [mm:ss.xx] or [mm:ss.xxx]
+const LINE_TAG_PATTERN = /^\[(\d+):(\d{1,2})(?:[.:](\d{1,3}))?\]/;
+
+// Enhanced-LRC word tags: <mm:ss.xx>
+const WORD_TAG_PATTERN = /<(\d+):(\d{1,2})(?:[.:](\d{1,3}))?>/g;
+
+// ID tags such as [ar:Artist], [ti:Title] or [offset:+250]
+const METADATA_PATTERN = /^\[([a-z#]+):(.*)\]$/i;
+
+// Convert the captured minutes/seconds/fraction of a tag into milliseconds
+const tagToMilliseconds = (minutes, seconds, fraction) => {
+    const secs = parseInt(seconds, 10);
+    if (secs >= 60) return null;
+
+    // ".5" is half a second, ".50" is 50 hundredths, ".500" is 500 ms
+    let fractionMs = 0;
+    if (fraction) {
+        fractionMs = Math.round(parseInt(fraction, 10) * Math.pow(10, 3 - fraction.length));
+    }
+
+    return parseInt(minutes, 10) * 60000 + secs * 1000 + fractionMs;
+};
+
+// Split the text of a line into timed words using enhanced-LRC <mm:ss.xx> tags
+// Returns null when the line has no word tags
+const parseWordTags = (text, lineTime, lineNumber) => {
+    if (!text.includes('<')) return null;
+
+    const words = [];
+    let lastTime = lineTime;
+    let lastIndex = 0;
+    let pendingTime = lineTime;
+    let match;
+
+    WORD_TAG_PATTERN.lastIndex = 0;
+    while ((match = WORD_TAG_PATTERN.exec(text)) !== null) {
+        // Text before this tag belongs to the previous tag's word
+        const wordText = text.slice(lastIndex, match.index);
+        if (wordText.trim()) {
+            words.push({ time: pendingTime, text: wordText });
+        }
+
+        const time = tagToMilliseconds(match[1], match[2], match[3]);
+        if (time === null) {
+            throw new Error(`Line ${lineNumber}: invalid word timestamp "${match[0]}"`);
+        }
+        if (time < lastTime) {
+            throw new Error(`Line ${lineNumber}: word timestamp "${match[0]}" is earlier than the one before it`);
+        }
+
+        lastTime = time;
+        pendingTime = time;
+        lastIndex = WORD_TAG_PATTERN.lastIndex;
+    }
+
+    // Any stray "<" left after removing valid tags means a malformed tag
+    const remainder = text.slice(lastIndex);
+    if (text.replace(WORD_TAG_PATTERN, '').includes('<')) {
+        throw new Error(`Line ${lineNumber}: malformed word tag in "${text}"`);
+    }
+    if (remainder.trim()) {
+        words.push({ time: pendingTime, text: remainder });
+    }
+
+    return words.length > 0 ? words : null;
+};
+
+// Parse the contents of an .lrc file into stanzas of { time, text, words } lines
+// Blank lines separate stanzas; times are in milliseconds from the start of the song
+const parseLRC = (source) => {
+    if (typeof source !== 'string' || !source.trim()) {
+        throw new Error('Lyrics file is empty');
+    }
+
+    const stanzas = [];
+    const metadata = {};
+    let currentStanza = [];
+    let offset = 0;
+
+    // Close the stanza being built, keeping its lines in time order
+    const endStanza = () => {
+        if (currentStanza.length > 0) {
+            currentStanza.sort((a, b) => a.time - b.time);
+            stanzas.push(currentStanza);
+            currentStanza = [];
+        }
+    };
+
+    const sourceLines = source.replace(/^\uFEFF/, '').split(/\r?\n/);
+
+    sourceLines.forEach((rawLine, index) => {
+        const lineNumber = index + 1;
+        const line = rawLine.trim();
+
+        // Blank line - stanza break
+        if (!line) {
+            endStanza();
+            return;
+        }
+
+        // Collect all leading time tags (a line may repeat at several times)
+        const times = [];
+        let rest = line;
+        let tagMatch;
+        while ((tagMatch = LINE_TAG_PATTERN.exec(rest)) !== null) {
+            const time = tagToMilliseconds(tagMatch[1], tagMatch[2], tagMatch[3]);
+            if (time === null) {
+                throw new Error(`Line ${lineNumber}: invalid timestamp "${tagMatch[0]}"`);
+            }
+            times.push(time);
+            rest = rest.slice(tagMatch[0].length);
+        }
+
+        if (times.length === 0) {
+            // Not a timed line, so it has to be an ID tag
+            const metaMatch = METADATA_PATTERN.exec(line);
+            if (!metaMatch) {
+                throw new Error(`Line ${lineNumber}: expected a [mm:ss.xx] timestamp or [tag:value], got "${line}"`);
+            }
+
+            const key = metaMatch[1].toLowerCase();
+            const value = metaMatch[2].trim();
+
+            if (key === 'offset') {
+                offset = parseInt(value, 10);
+                if (isNaN(offset)) {
+                    throw new Error(`Line ${lineNumber}: invalid offset "${value}"`);
+                }
+            }
+            metadata[key] = value;
+            return;
+        }
+
+        const text = rest.trim();
+
+        // Timed line with no text only marks where the previous line ends
+        if (!text) return;
+
+        times.forEach(time => {
+            const words = parseWordTags(text, time, lineNumber);
+            currentStanza.push({
+                time,
+                text: words ? words.map(word => word.text).join('').trim() : text,
+                words
+            });
+        });
+    });
+
+    endStanza();
+
+    if (stanzas.length === 0) {
+        throw new Error('Lyrics file contains no timed lines');
+    }
+
+    // Positive offsets make lyrics appear sooner (LRC convention)
+    if (offset !== 0) {
+        stanzas.forEach(stanza => stanza.forEach(line => {
+            line.time = Math.max(0, line.time - offset);
+            if (line.words) {
+                line.words.forEach(word => {
+                    word.time = Math.max(0, word.time - offset);
+                });
+            }
+        }));
+    }
+
+    // Stanzas should play back in order of their first line
+    stanzas.sort((a, b) => a[0].time - b[0].time);
+
+    return { stanzas, metadata };
+};
+
+// Load and parse an .lrc file, reporting fetch or parse problems through onError
+const loadLyrics = (url, onLoad, onError) => {
+    const loader = new THREE.FileLoader();
+    loader.setResponseType('text');
+
+    loader.load(
+        url,
+        function(text) {
+            let parsed;
+            try {
+                parsed = parseLRC(text);
+            } catch (error) {
+                if (onError) onError(new Error(`Malformed lyrics file ${url}: ${error.message}`));
+                return;
+            }
+
+            console.log(`Lyrics loaded: ${parsed.stanzas.length} stanzas from ${url}`);
+            if (onLoad) onLoad(parsed);
+        },
+        undefined,
+        function(error) {
+            if (onError) onError(new Error(`Could not load lyrics file ${url}`, { cause: error }));
+        }
+    );
+};
+
+export { parseLRC, loadLyrics };
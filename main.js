@@ -1,13 +1,45 @@
 import * as THREE from 'three';
 import { OrbitControls } from 'three/addons/controls/OrbitControls.js';
-import { setupAudio, createAudioReactiveElements as createAudioElements, updateAudioReactiveElements, audioAnalyser, audioData, isAudioPlaying, audioStartTime, startAudioFromSplash } from './audio.js'; // Renamed createAudioReactiveElements to avoid conflict, added startAudioFromSplash
-import { createNightSky, updateNightSky } from './nightsky.js';
-import { createSkybox, updateSkybox } from './skybox.js';
+import { setupAudio, createAudioReactiveElements as createAudioElements, updateAudioReactiveElements, disposeAudioReactiveElements, resetExplosionState, isAudioPlaying, startAudioFromSplash, loadSong, showErrorMessage, getSongOutput, setParticleBudget } from './audio.js'; // Renamed createAudioReactiveElements to avoid conflict, added startAudioFromSplash
+import { registerCueHandler } from './cues.js';
+import { getMicrophoneSource } from './singing.js';
+import { createRecorderControls } from './recorder.js';
+import { parseOfflineRenderOptions, openFrameOutput, runOfflineRender } from './offline.js';
+import { loadSetlist, getSetlist, getCurrentSong, selectSong, advanceSetlist, formatSongTime, formatSongName } from './setlist.js';
+import { createNightSky, updateNightSky, disposeNightSky } from './nightsky.js';
+import { createRandom, deriveSeed, readSceneSeed } from './random.js';
+import { createDebugOverlay, setDebugValue, createMemoryLeakCheck } from './debug.js';
+import { createPostPipeline } from './postprocessing.js';
+import { createBloomPass, markEmissive } from './bloom.js';
+import { createSettingsPanel, isTypingInField } from './settings.js';
+import { createPerformanceGovernor } from './governor.js';
+import { createInstancedSet, updateInstancedSets, disposeInstancedSets } from './instancing.js';
+import { disposeObject, disposeChildren } from './disposal.js';
+import { PALETTES, createPalettePass, setPalette, setDither, cyclePalette, cycleDither } from './palette.js';
+import { createSkybox, updateSkybox, disposeSkybox } from './skybox.js';
+import { getBeatState, onBeat } from './beat.js';
+import { getBand } from './spectrum.js';
+import { createWalkMode } from './walk.js';
+import { readGamepad, createGamepadPanel } from './gamepad.js';
+import { createTouchControls, readTouchOverride } from './touch.js';
+import { createRail, getRail, startDirecting, stopDirecting, takeCameraControl, directCamera, createDirectorButton } from './rails.js';
 
 // Scene setup
 const scene = new THREE.Scene();
 scene.background = new THREE.Color(0x000011);
 
+// Seeded randomness: the same ?seed= always builds the same street, sky and particles
+const sceneSeed = readSceneSeed(window.location.search);
+scene.userData.sceneSeed = sceneSeed;
+
+// Each generator gets its own stream, so a change in one doesn't reshuffle the others
+const seededRandom = (label) => createRandom(deriveSeed(sceneSeed, label));
+let trafficRandom = seededRandom('traffic');
+let fairyRandom = seededRandom('fairies');
+
+createDebugOverlay();
+setDebugValue('seed', `${sceneSeed} (add ?seed=${sceneSeed} to the URL to reproduce)`);
+
 // Track the orbiting center point for fairies
 let fairyOrbitCenter = new THREE.Vector3(0, 6, -10); // Default position
 let fairyOrbitTime = 0;
@@ -38,10 +70,14 @@ controls.target.set(0, 2, 0); // Looking at the building from across the street
 
 // Add WASD keyboard controls for camera movement
 const keyboard = { w: false, a: false, s: false, d: false, shift: false };
-const moveSpeed = 0.2; // Speed of movement
+let moveSpeed = 0.2; // Speed of movement (adjustable in the settings panel)
 const sprintMultiplier = 2.0; // Speed multiplier when shift is pressed
+const mouseSensitivity = 0.0025; // Radians per pixel of mouse movement while the pointer is locked
+const gamepadLookSpeed = 0.04; // Radians per frame with the look stick pushed all the way
 
 document.addEventListener('keydown', (event) => {
+    if (isTypingInField(event)) return;
+    if (offlineRenderActive) return; // The offline render drives the camera
     switch(event.code) {
         case 'KeyW': keyboard.w = true; break;
         case 'KeyA': keyboard.a = true; break;
@@ -50,6 +86,7 @@ document.addEventListener('keydown', (event) => {
         case 'ShiftLeft':
         case 'ShiftRight':
             keyboard.shift = true; break;
+        case 'KeyV': walkMode.toggle(); break;
     }
 });
 
@@ -65,13 +102,96 @@ document.addEventListener('keyup', (event) => {
     }
 });
 
-// Function to update camera position based on WASD input
+// What the walk-mode capsule bumps into: the bar's walls, the buildings along the street,
+// street furniture and the interior props. The door isn't one, so the doorway stays open.
+const getWalkColliders = () => [
+    ...(streetElements.walls || []),
+    ...(streetElements.buildings || []),
+    ...(streetElements.streetLamps || []),
+    ...(streetElements.benches || []),
+    ...(streetElements.trashcans || []),
+    streetElements.busStop,
+    interiorElements.barCounter,
+    ...(interiorElements.barStools || []),
+    ...(interiorElements.dinerBooths || []),
+    ...(interiorElements.tables || []),
+    ...(interiorElements.chairs || []),
+    interiorElements.stage,
+    interiorElements.micStand,
+    ...(interiorElements.speakers || [])
+];
+
+// V switches between orbiting the scene and walking through it at eye height
+const onWalkModeChange = (walking) => {
+    if (walking) takeCameraControl(camera);
+    setDebugValue('camera', walking ? 'walk (V for orbit, click to capture the mouse)' : 'orbit (V to walk)');
+    if (!walking && document.pointerLockElement === renderer.domElement) document.exitPointerLock();
+};
+const walkMode = createWalkMode({ camera, controls, getColliders: getWalkColliders, onChange: onWalkModeChange });
+onWalkModeChange(false);
+
+// Turn the view in place by yaw (right) and pitch (up) radians, keeping the target's distance
+const lookOffset = new THREE.Vector3();
+const lookSpherical = new THREE.Spherical();
+const turnCamera = (yaw, pitch) => {
+    if (offlineRenderActive) return; // The offline render drives the camera
+    takeCameraControl(camera);
+    lookOffset.subVectors(controls.target, camera.position);
+    lookSpherical.setFromVector3(lookOffset);
+    lookSpherical.theta -= yaw;
+    lookSpherical.phi = THREE.MathUtils.clamp(lookSpherical.phi - pitch, 0.05, Math.PI - 0.05);
+    controls.target.copy(camera.position).add(lookOffset.setFromSpherical(lookSpherical));
+    camera.lookAt(controls.target);
+};
+
+// In walk mode a click captures the mouse for FPS-style look and Esc lets it go. OrbitControls
+// sits out while the pointer is locked, so clicks don't also drag the view.
+renderer.domElement.addEventListener('click', () => {
+    if (walkMode.isEnabled() && document.pointerLockElement !== renderer.domElement) {
+        renderer.domElement.requestPointerLock();
+    }
+});
+
+document.addEventListener('pointerlockchange', () => {
+    controls.enabled = !offlineRenderActive && document.pointerLockElement !== renderer.domElement;
+});
+
+document.addEventListener('mousemove', (event) => {
+    if (document.pointerLockElement !== renderer.domElement) return;
+    turnCamera(event.movementX * mouseSensitivity, -event.movementY * mouseSensitivity);
+});
+
+// Joystick, swipe-to-look and pinch-to-zoom on touch screens (?touch=on/off to force them)
+const touchControls = createTouchControls({
+    element: renderer.domElement,
+    camera,
+    controls,
+    onLook: turnCamera,
+    onZoom: () => takeCameraControl(camera),
+    forced: readTouchOverride(window.location.search)
+});
+
+// Dragging or scrolling the view takes the camera over from a playing rail
+controls.addEventListener('start', () => takeCameraControl(camera));
+
+// Function to update camera position based on WASD and gamepad input
 const updateCameraPosition = () => {
+    // Live input would make the offline render's frames differ from run to run
+    if (offlineRenderActive) return;
+    
+    // The gamepad moves, looks and sprints alongside the keyboard (bindings in the G panel)
+    const gamepad = readGamepad();
+    if (gamepad.pressed.walkMode) walkMode.toggle();
+    
     // Skip movement during transitions
     if (isTransitioning) return;
     
-    // Calculate actual speed (with sprint if shift is pressed)
-    const actualSpeed = keyboard.shift ? moveSpeed * sprintMultiplier : moveSpeed;
+    if (gamepad.lookRight !== 0 || gamepad.lookUp !== 0) {
+        turnCamera(gamepad.lookRight * gamepadLookSpeed, gamepad.lookUp * gamepadLookSpeed);
+    }
+    
+    // Calculate actual speed (with sprint if shift or the sprint trigger is held)
+    const actualSpeed = keyboard.shift || gamepad.sprint ? moveSpeed * sprintMultiplier : moveSpeed;
     
     // Get the camera's forward and right directions
     const forward = new THREE.Vector3(0, 0, -1).applyQuaternion(camera.quaternion);
@@ -90,35 +210,36 @@ const updateCameraPosition = () => {
     if (keyboard.s) moveDirection.sub(forward);
     if (keyboard.a) moveDirection.sub(right);
     if (keyboard.d) moveDirection.add(right);
+    moveDirection.addScaledVector(forward, gamepad.moveForward);
+    moveDirection.addScaledVector(right, gamepad.moveRight);
+    
+    // The on-screen joystick works the same way
+    const touch = touchControls.read();
+    moveDirection.addScaledVector(forward, touch.moveForward);
+    moveDirection.addScaledVector(right, touch.moveRight);
     
-    // Normalize and scale by speed
+    // Cap at full speed and scale; a stick pushed part of the way moves slower
     if (moveDirection.length() > 0) {
-        moveDirection.normalize().multiplyScalar(actualSpeed);
-        camera.position.add(moveDirection);
-        controls.target.add(moveDirection);
+        takeCameraControl(camera);
+        moveDirection.clampLength(0, 1).multiplyScalar(actualSpeed);
+        if (walkMode.isEnabled()) {
+            walkMode.move(moveDirection);
+        } else {
+            camera.position.add(moveDirection);
+            controls.target.add(moveDirection);
+        }
     }
 };
 
 // Low resolution effect
-const pixelRatio = 0.7; // Increased from 0.5 for less blur
+let pixelRatio = 0.7; // Increased from 0.5 for less blur
+let renderScale = 1; // Lowered on top of pixelRatio by the performance governor
 
 // Create pixelated render target
 const renderTargetWidth = Math.floor(window.innerWidth * pixelRatio);
 const renderTargetHeight = Math.floor(window.innerHeight * pixelRatio);
 const renderTarget = new THREE.WebGLRenderTarget(renderTargetWidth, renderTargetHeight);
 
-// Create ping-pong render targets for feedback post-processing
-let postBufferA = new THREE.WebGLRenderTarget(renderTargetWidth, renderTargetHeight, {
-    minFilter: THREE.LinearFilter,
-    magFilter: THREE.NearestFilter,
-    format: THREE.RGBAFormat
-});
-let postBufferB = new THREE.WebGLRenderTarget(renderTargetWidth, renderTargetHeight, {
-    minFilter: THREE.LinearFilter,
-    magFilter: THREE.NearestFilter,
-    format: THREE.RGBAFormat
-});
-
 // Add a solid black plane below the road to block stars from showing through
 const createGroundPlane = () => {
     // Create a large black plane to prevent stars from being visible through the road
@@ -133,92 +254,39 @@ const createGroundPlane = () => {
     scene.add(groundPlane);
 };
 
-// Create post-processing scene
-const postCamera = new THREE.OrthographicCamera(-1, 1, 1, -1, 0, 1);
-const postMaterial = new THREE.ShaderMaterial({
-    vertexShader: `
-        varying vec2 vUv;
-        
-        void main() {
-            vUv = uv;
-            gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
-        }
-    `,
-    fragmentShader: `
-        uniform sampler2D tDiffuse;         // Current scene render
-        uniform sampler2D tFeedback;        // Previous frame's post-processed output
-        uniform vec2 resolution;            // Resolution of the screen
-        uniform float scanlineIntensity;
-        uniform float scanlineFrequency;
-        uniform float barrelDistortion;     // For screen curvature
-        uniform float feedbackAmount;       // How much of the previous frame to blend
-        uniform bool u_applyEffects;        // Switch for effect pass vs display pass
-        uniform float toneMappingStrength;  // Strength of the tone mapping
-
-        varying vec2 vUv;
-        
-        // Barrel distortion function
-        vec2 distort(vec2 uv, float strength) {
-            vec2 cc = uv - 0.5; // Center coordinates
-            float dist = dot(cc, cc) * strength;
-            return (uv + cc * dist);
-        }
-
-        void main() {
-            if (u_applyEffects) {
-                // Apply barrel distortion for current scene lookup
-                vec2 distortedUv = distort(vUv, barrelDistortion);
-
-                vec4 currentFrameTexel = vec4(0.0);
-                // Only sample if UVs are within [0,1] range after distortion
-                if (distortedUv.x >= 0.0 && distortedUv.x <= 1.0 && distortedUv.y >= 0.0 && distortedUv.y <= 1.0) {
-                    currentFrameTexel = texture2D(tDiffuse, distortedUv);
-                }
-
-                // Feedback from previous post-processed frame (sample with non-distorted UVs)
-                vec4 feedbackTexel = texture2D(tFeedback, vUv);
+// Post-processing chain: bloom, barrel distortion, feedback trails, scanlines and tone mapping.
+// ?passes=feedback,tonemap in the URL picks which passes run, in that order.
+const postPipeline = createPostPipeline(renderTargetWidth, renderTargetHeight);
+const bloomPass = postPipeline.addPass(createBloomPass(scene, camera), 0);
+const passesParam = new URLSearchParams(window.location.search).get('passes');
+if (passesParam !== null) {
+    postPipeline.setPassOrder(passesParam.split(',').map(name => name.trim()).filter(name => name));
+}
 
-                // Slightly dim the current frame before blending to compensate for brightness increase
-                vec3 dimmedCurrentFrame = currentFrameTexel.rgb * 0.92; // Dim factor (0.0 to 1.0)
-                // Blend the dimmed current frame with the faded feedback
-                vec3 blendedColor = dimmedCurrentFrame + feedbackTexel.rgb * feedbackAmount;
-                
-                // Apply scanlines to the blended result (using distorted UVs for CRT consistency)
-                float scanlineEffect = sin(distortedUv.y * scanlineFrequency) * scanlineIntensity;
-                vec3 crtAffectedColor = blendedColor - scanlineEffect;
+// Retro palette quantization at the very end; ?palette=c64&dither=bluenoise picks one from the start
+const palettePass = postPipeline.addPass(createPalettePass());
+const paletteParams = new URLSearchParams(window.location.search);
+if (paletteParams.has('dither')) setDither(palettePass, paletteParams.get('dither'));
+if (paletteParams.has('palette')) setPalette(palettePass, paletteParams.get('palette'));
 
-                // Reinhard tone mapping to control brightness and glow
-                vec3 reinhardMapped = crtAffectedColor / (crtAffectedColor + vec3(1.0));
+// Show the running passes and palette in the debug overlay
+const showPipelineDebug = () => {
+    setDebugValue('passes', postPipeline.passes.filter(pass => pass.enabled).map(pass => pass.name).join(' > ') || 'none');
+    setDebugValue('palette', `${palettePass.paletteName} (${palettePass.ditherMode} dither)`);
+};
+showPipelineDebug();
 
-                // Blend between original (pre-tone mapping) and tone-mapped color
-                vec3 blendedToneMappedColor = mix(crtAffectedColor, reinhardMapped, toneMappingStrength);
-                
-                // Clamp the final color to ensure it's within displayable range
-                vec3 finalColor = clamp(blendedToneMappedColor, 0.0, 1.0);
-                
-                gl_FragColor = vec4(finalColor, currentFrameTexel.a); // Use alpha from current frame
-            } else {
-                // Simple display pass: just show the input texture
-                gl_FragColor = texture2D(tDiffuse, vUv);
-            }
-        }
-    `,
-    uniforms: {
-        tDiffuse: { value: renderTarget.texture },
-        tFeedback: { value: null }, // Will be set to postBufferB.texture
-        resolution: { value: new THREE.Vector2(renderTargetWidth, renderTargetHeight) },
-        scanlineIntensity: { value: 0.03 }, // Reduced from 0.05
-        scanlineFrequency: { value: renderTargetHeight * 1.5 },
-        barrelDistortion: { value: 0.15 }, // Reduced from 0.15 for less blur
-        feedbackAmount: { value: 0.65 }, // User adjusted value
-        u_applyEffects: { value: true }, // Default to applying effects
-        toneMappingStrength: { value: 0.65 } // Default to 70% tone mapping strength
+// P cycles through the palettes, Shift+P through the dither patterns
+document.addEventListener('keydown', (event) => {
+    if (event.code !== 'KeyP') return;
+    if (isTypingInField(event)) return;
+    if (event.shiftKey) {
+        cycleDither(palettePass);
+    } else {
+        cyclePalette(palettePass);
     }
+    showPipelineDebug();
 });
-const postPlane = new THREE.PlaneGeometry(2, 2);
-const postQuad = new THREE.Mesh(postPlane, postMaterial);
-const postScene = new THREE.Scene();
-postScene.add(postQuad);
 
 // Lighting
 const ambientLight = new THREE.AmbientLight(0xffffff, 0.5);
@@ -242,9 +310,18 @@ const createGlowingWireframeMaterial = (color, opacity = 1.0, glowIntensity = 0.
             varying vec3 vNormal;
             
             void main() {
-                vPosition = position;
-                vNormal = normal;
-                gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+                vec4 localPosition = vec4(position, 1.0);
+                vec3 localNormal = normal;
+                
+                // Instanced props place each copy with its instance matrix
+                #ifdef USE_INSTANCING
+                    localPosition = instanceMatrix * localPosition;
+                    localNormal = mat3(instanceMatrix) * localNormal;
+                #endif
+                
+                vPosition = localPosition.xyz;
+                vNormal = localNormal;
+                gl_Position = projectionMatrix * modelViewMatrix * localPosition;
             }
         `,
         fragmentShader: `
@@ -314,105 +391,317 @@ const sceneGroups = {
 
 // Add scene groups to main scene
 Object.values(sceneGroups).forEach(group => {
+    group.userData.isSceneGroup = true; // Their children are the props an explosion throws
     scene.add(group);
 });
 
 // Create the ground plane to block stars from being visible through the road
 createGroundPlane();
 
-// Scene state management
+// Scene state management. A "scene" is a named viewpoint from cameraPositions; currentScene
+// is the last one the camera arrived at and nextScene the one it is heading for.
 let currentScene = 'exterior';
 let nextScene = null;
 let transitionProgress = 0;
-const TRANSITION_DURATION = 5.0; // seconds (increased for more gradual transition)
+let transitionDuration = 5.0; // seconds (increased for more gradual transition)
 let isTransitioning = false;
-let doorOpening = false;
-let doorOpeningProgress = 0;
+let transitionPath = null; // The transition underway: the camera's path, its duration and the momentum it started with
+let enteringBar = false; // Whether that path goes in through the bar's door
+const cameraVelocity = new THREE.Vector3(); // How fast the transition is moving the camera (units/s)
+const targetVelocity = new THREE.Vector3(); // and the point it looks at
+const momentumTime = 0.4; // Seconds over which a redirected camera's old speed dies away
 
-// Camera positions for each scene
+// Camera positions for each scene; inside ones are in the bar, so getting to or from them goes through the door
 const cameraPositions = {
-    exterior: { position: new THREE.Vector3(0, 2, 25), target: new THREE.Vector3(0, 2, 0) },
-    interior: { position: new THREE.Vector3(0, 2, -3), target: new THREE.Vector3(0, 2, -7) }
+    exterior: { position: new THREE.Vector3(0, 2, 25), target: new THREE.Vector3(0, 2, 0), inside: false },
+    busStop: { position: new THREE.Vector3(-12, 1.8, 10), target: new THREE.Vector3(-15, 1.4, 2), inside: false },
+    interior: { position: new THREE.Vector3(0, 2, -3), target: new THREE.Vector3(0, 2, -7), inside: true },
+    stage: { position: new THREE.Vector3(3, 2.2, -7), target: new THREE.Vector3(0, 1.5, -12.5), inside: true }
 };
 
-// Door animation
+// Where the camera lines up on either side of the doorway when it goes in or out
+const doorwayPoses = {
+    outside: { position: new THREE.Vector3(0, 2, 4), target: new THREE.Vector3(0, 2, -2) },
+    inside: { position: new THREE.Vector3(0, 2, -2), target: new THREE.Vector3(0, 2, -7) }
+};
+
+// The bar's footprint (the building is 20 wide and 15 deep, its front at z=0)
+const isInsideBar = (position) => Math.abs(position.x) < 10 && position.z < 0 && position.z > -15;
+
+// Door animation. The door swings towards doorTarget (0 closed, 1 open) from wherever it is,
+// so a transition that turns back midway turns the door back too.
 const doorAnimationDuration = 2.0; // seconds
+const doorCloseAt = 0.8; // How far through a transition to an outside scene the door starts closing behind the camera
+let doorOpenAmount = 0;
+let doorTarget = 0;
 let doorRotation = {
     start: 0,  // Door starts closed (0 degrees)
     end: -Math.PI / 2  // Door swings 90 degrees outward (negative is toward camera)
 };
 
-// Function to start scene transition
+const setDoorOpenAmount = (amount) => {
+    doorOpenAmount = amount;
+    if (streetElements.door) {
+        streetElements.door.rotation.y = THREE.MathUtils.lerp(doorRotation.start, doorRotation.end, THREE.MathUtils.smoothstep(amount, 0, 1));
+    }
+};
+
+// Function to start scene transition. It starts from wherever the camera is now, so calling
+// it again midway redirects the camera (or sends it back) without jumping.
 const transitionToScene = (sceneName) => {
-    if (sceneName === currentScene || isTransitioning) return;
+    const destination = cameraPositions[sceneName];
+    if (!destination) {
+        console.warn(`Unknown scene "${sceneName}"; expected one of ${Object.keys(cameraPositions).join(', ')}`);
+        return;
+    }
+    // Already heading there, or already there (currentScene is only where the camera last
+    // arrived; walking, WASD or a rail may have taken it elsewhere since)
+    if (isTransitioning && sceneName === nextScene) return;
+    if (!isTransitioning && camera.position.distanceTo(destination.position) < 0.01 &&
+        controls.target.distanceTo(destination.target) < 0.01) return;
     
     console.log(`Starting transition to ${sceneName}`);
+    
+    // Through the door when going from one side of the front wall to the other. Already in
+    // the doorway (turning back midway), only the side it is heading for is left to line up on.
+    const startsInside = isInsideBar(camera.position);
+    const inDoorway = Math.abs(camera.position.x) < 1 &&
+        camera.position.z > doorwayPoses.inside.position.z && camera.position.z < doorwayPoses.outside.position.z;
+    const poses = [{ position: camera.position.clone(), target: controls.target.clone() }];
+    if (inDoorway) {
+        poses.push(destination.inside ? doorwayPoses.inside : doorwayPoses.outside);
+    } else if (startsInside !== destination.inside) {
+        poses.push(startsInside ? doorwayPoses.inside : doorwayPoses.outside);
+        poses.push(startsInside ? doorwayPoses.outside : doorwayPoses.inside);
+    }
+    poses.push(destination);
+    enteringBar = destination.inside && !startsInside;
+    const position = new THREE.CatmullRomCurve3(poses.map(pose => pose.position), false, 'centripetal');
+    
+    // Redirected midway, the camera carries on at its current speed for a moment rather than
+    // stopping dead, and takes a share of the full duration in proportion to what is left to go
+    let duration = transitionDuration;
+    if (isTransitioning) {
+        duration *= THREE.MathUtils.clamp(position.getLength() / transitionPath.position.getLength(), 0.25, 1);
+    } else {
+        cameraVelocity.set(0, 0, 0);
+        targetVelocity.set(0, 0, 0);
+    }
+    transitionPath = {
+        position,
+        target: new THREE.CatmullRomCurve3(poses.map(pose => pose.target), false, 'centripetal'),
+        duration,
+        elapsed: 0,
+        cameraMomentum: cameraVelocity.clone(),
+        targetMomentum: targetVelocity.clone()
+    };
+    
     nextScene = sceneName;
     transitionProgress = 0;
     isTransitioning = true;
-    doorOpening = true;
-    doorOpeningProgress = 0;
+    
+    // Going in, the door opens before the camera moves; going out, it stays as it is until the camera is through
+    if (destination.inside) doorTarget = 1;
 };
 
 // Expose transitionToScene function to the audio system
 scene.userData.transitionToScene = transitionToScene;
 
-// Function to update scene transition
-const updateSceneTransition = (deltaTime) => {
-    if (!isTransitioning) return;
+// Jump straight to a scene with no door or camera animation
+const setSceneImmediately = (sceneName) => {
+    isTransitioning = false;
+    transitionPath = null;
+    nextScene = null;
+    currentScene = sceneName;
     
-    // Door animation first
-    if (doorOpening) {
-        doorOpeningProgress += deltaTime / doorAnimationDuration;
-        
-        if (doorOpeningProgress >= 1.0) {
-            doorOpeningProgress = 1.0;
-            doorOpening = false;
-            console.log("Door fully opened");
+    doorTarget = cameraPositions[sceneName].inside ? 1 : 0;
+    setDoorOpenAmount(doorTarget);
+    
+    camera.position.copy(cameraPositions[sceneName].position);
+    controls.target.copy(cameraPositions[sceneName].target);
+    controls.update();
+};
+
+// Cue handlers for the parts of the show main.js owns: scenes, camera, signs and lights.
+// Vectors and colors in cue params are [x, y, z] arrays and hex strings/numbers.
+registerCueHandler('transition', {
+    start: (cue, context, lateBy) => {
+        const targetScene = cue.params.scene || 'interior';
+        cue.data.previousScene = currentScene;
+        if (!cameraPositions[targetScene]) {
+            console.warn(`Transition cue at ${cue.time}ms names an unknown scene "${targetScene}"`);
+            return;
         }
         
-        // Animate door rotation around its left edge
-        if (streetElements.door) {
-            const doorRotationValue = THREE.MathUtils.lerp(
-                doorRotation.start, 
-                doorRotation.end, 
-                THREE.MathUtils.smoothstep(doorOpeningProgress, 0, 1)
-            );
-            streetElements.door.rotation.y = doorRotationValue;
+        // Landing well past the cue after a seek skips the walk through the door
+        if (lateBy > 1000) {
+            setSceneImmediately(targetScene);
         } else {
-            console.warn("Door element not found");
-        }
-        
-        // Start camera transition after door is partially open
-        if (doorOpeningProgress > 0.5) {
-            transitionProgress += deltaTime / TRANSITION_DURATION;
+            transitionToScene(targetScene);
         }
-    } else {
-        // Continue with camera transition
-        transitionProgress += deltaTime / TRANSITION_DURATION;
+        console.log(`Triggered transition to ${targetScene} scene at ${cue.time}ms`);
+    },
+    revert: (cue) => {
+        setSceneImmediately(cue.data.previousScene);
+    }
+});
+
+// Glide the camera (and the orbit target) to params.position / params.target over the cue's duration
+// (the viewer can take over midway, like on a rail)
+registerCueHandler('camera', {
+    start: (cue) => {
+        cue.data.fromPosition = camera.position.clone();
+        cue.data.fromTarget = controls.target.clone();
+        cue.data.toPosition = cue.params.position ? new THREE.Vector3(...cue.params.position) : cue.data.fromPosition;
+        cue.data.toTarget = cue.params.target ? new THREE.Vector3(...cue.params.target) : cue.data.fromTarget;
+        cue.data.pose = { position: new THREE.Vector3(), target: new THREE.Vector3(), fov: null };
+        startDirecting(cue, camera);
+    },
+    update: (cue, progress) => {
+        const eased = THREE.MathUtils.smoothstep(progress, 0, 1);
+        cue.data.pose.position.lerpVectors(cue.data.fromPosition, cue.data.toPosition, eased);
+        cue.data.pose.target.lerpVectors(cue.data.fromTarget, cue.data.toTarget, eased);
+        directCamera(camera, controls, cue.data.pose);
+    },
+    end: (cue) => stopDirecting(cue, camera),
+    revert: (cue) => stopDirecting(cue, camera)
+    // Camera moves are not undone on seek - the viewer may have moved since
+});
+
+// Fly the camera along a rail over the cue's duration (see rails.js): params.rail names one of
+// the manifest's rails, or params holds the rail's own keyframes, easing and closed
+registerCueHandler('rail', {
+    start: (cue) => {
+        cue.data.rail = cue.params.keyframes ? createRail(cue.params, `Rail cue at ${cue.time}ms`) : getRail(cue.params.rail);
+        if (!cue.data.rail) console.warn(`Unknown rail "${cue.params.rail}"`);
+        startDirecting(cue, camera);
+        // Someone out walking keeps their camera; the director button puts them on the rail
+        if (walkMode.isEnabled()) takeCameraControl(camera);
+    },
+    update: (cue, progress) => {
+        if (cue.data.rail) directCamera(camera, controls, cue.data.rail.getPose(progress));
+    },
+    end: (cue) => stopDirecting(cue, camera),
+    revert: (cue) => stopDirecting(cue, camera)
+});
+
+// Flash the KARAOKE sign params.count times (default 4) in params.color (default white)
+let signFlash = { amount: 0, color: new THREE.Color(0xffffff) };
+registerCueHandler('signFlash', {
+    start: (cue) => {
+        signFlash.color.set(cue.params.color !== undefined ? cue.params.color : 0xffffff);
+    },
+    update: (cue, progress) => {
+        const count = cue.params.count || 4;
+        signFlash.amount = Math.sin(progress * Math.PI * 2 * count) > 0 ? 1 : 0;
+    },
+    end: () => {
+        signFlash.amount = 0;
+    },
+    revert: () => {
+        signFlash.amount = 0;
+    }
+});
+
+// Fade the ambient and directional lights to params.ambient / params.directional ({ color, intensity })
+registerCueHandler('lighting', {
+    start: (cue) => {
+        cue.data.lights = [
+            [ambientLight, cue.params.ambient],
+            [directionalLight, cue.params.directional]
+        ].filter(([, target]) => target).map(([light, target]) => ({
+            light,
+            fromColor: light.color.clone(),
+            fromIntensity: light.intensity,
+            toColor: target.color !== undefined ? new THREE.Color(target.color) : light.color.clone(),
+            toIntensity: target.intensity !== undefined ? target.intensity : light.intensity
+        }));
+    },
+    update: (cue, progress) => {
+        cue.data.lights.forEach(({ light, fromColor, fromIntensity, toColor, toIntensity }) => {
+            light.color.lerpColors(fromColor, toColor, progress);
+            light.intensity = THREE.MathUtils.lerp(fromIntensity, toIntensity, progress);
+        });
+    },
+    revert: (cue) => {
+        cue.data.lights.forEach(({ light, fromColor, fromIntensity }) => {
+            light.color.copy(fromColor);
+            light.intensity = fromIntensity;
+        });
+    }
+});
+
+// Switch to params.palette (see palette.js, 'off' for none) with params.dither; params.colors sets custom16's colors
+registerCueHandler('palette', {
+    start: (cue) => {
+        cue.data.previous = {
+            palette: palettePass.paletteName,
+            dither: palettePass.ditherMode,
+            colors: cue.params.colors && PALETTES[cue.params.palette] ? PALETTES[cue.params.palette].slice() : null
+        };
+        if (cue.params.dither) setDither(palettePass, cue.params.dither);
+        setPalette(palettePass, cue.params.palette || 'off', cue.params.colors || null);
+        showPipelineDebug();
+    },
+    revert: (cue) => {
+        const { palette, dither, colors } = cue.data.previous;
+        if (colors) PALETTES[cue.params.palette] = colors;
+        setDither(palettePass, dither);
+        setPalette(palettePass, palette);
+        showPipelineDebug();
+    }
+});
+
+// Function to update scene transition
+const updateSceneTransition = (deltaTime) => {
+    // The door swings towards its target whether or not the camera is moving
+    if (doorOpenAmount !== doorTarget) {
+        const step = deltaTime / doorAnimationDuration;
+        setDoorOpenAmount(doorTarget > doorOpenAmount
+            ? Math.min(doorTarget, doorOpenAmount + step)
+            : Math.max(doorTarget, doorOpenAmount - step));
+    }
+    
+    if (!isTransitioning) return;
+    
+    // Going in, the camera waits until the door is half open
+    if (!enteringBar || doorOpenAmount > 0.5) {
+        transitionProgress = Math.min(1.0, transitionProgress + deltaTime / transitionPath.duration);
+    }
+    transitionPath.elapsed += deltaTime;
+    
+    // Going out, the door closes behind the camera
+    if (!cameraPositions[nextScene].inside && transitionProgress >= doorCloseAt) {
+        doorTarget = 0;
+    }
+    
+    // Follow the path by distance (so the speed doesn't jump at the doorway), easing in and
+    // out, plus whatever momentum the camera had when the transition started. That drift
+    // leaves at the old speed and dies away (s * e^-s), and is gone by the end of the path.
+    const eased = THREE.MathUtils.smoothstep(transitionProgress, 0, 1);
+    const elapsed = transitionPath.elapsed / momentumTime;
+    const drift = momentumTime * elapsed * Math.exp(-elapsed) * (1 - eased);
+    const previousPosition = camera.position.clone();
+    const previousTarget = controls.target.clone();
+    transitionPath.position.getPointAt(eased, camera.position).addScaledVector(transitionPath.cameraMomentum, drift);
+    transitionPath.target.getPointAt(eased, controls.target).addScaledVector(transitionPath.targetMomentum, drift);
+    controls.update();
+    
+    // Kept for a redirect to carry on from
+    if (deltaTime > 0) {
+        cameraVelocity.subVectors(camera.position, previousPosition).divideScalar(deltaTime);
+        targetVelocity.subVectors(controls.target, previousTarget).divideScalar(deltaTime);
     }
     
     if (transitionProgress >= 1.0) {
         // Transition complete
-        transitionProgress = 1.0;
         isTransitioning = false;
+        transitionPath = null;
         currentScene = nextScene;
         nextScene = null;
         
-        // Instead of hiding scenes, we'll just update the camera
         console.log(`Transition complete: Now in ${currentScene} scene`);
     }
-    
-    // Get current and target camera positions
-    const currentPos = cameraPositions.exterior.position;
-    const currentTarget = cameraPositions.exterior.target;
-    const targetPos = cameraPositions.interior.position;
-    const targetTarget = cameraPositions.interior.target;
-    
-    // Interpolate camera position and target
-    camera.position.lerpVectors(currentPos, targetPos, THREE.MathUtils.smoothstep(transitionProgress, 0, 1));
-    controls.target.lerpVectors(currentTarget, targetTarget, THREE.MathUtils.smoothstep(transitionProgress, 0, 1));
-    controls.update();
 };
 
 // Update opacity of interior elements
@@ -516,7 +805,7 @@ const createCar = (x, z, color, direction) => {
 };
 
 // Function to get a random car color
-const getRandomCarColor = () => {
+const getRandomCarColor = (random) => {
     const carColors = [
         0xff0000, // Red
         0x00ff00, // Green
@@ -531,11 +820,11 @@ const getRandomCarColor = () => {
         0x808080, // Gray
         0xffffff  // White
     ];
-    return carColors[Math.floor(Math.random() * carColors.length)];
+    return carColors[Math.floor(random() * carColors.length)];
 };
 
 // Street scene
-const createStreetScene = () => {
+const createStreetScene = (random) => {
     const streetElements = {};
     
     // Create a proper street layout
@@ -574,6 +863,11 @@ const createStreetScene = () => {
     sceneGroups.exterior.add(divider);
     streetElements.divider = divider;
     
+    // The ground stays put when the scene is blown apart
+    [street, farSidewalk, nearSidewalk, divider].forEach(surface => {
+        surface.userData.fixed = true;
+    });
+    
     // Karaoke Bar Building - created as a separate structure
     const buildingGroup = new THREE.Group();
     
@@ -845,6 +1139,13 @@ const createStreetScene = () => {
     sceneGroups.exterior.add(buildingGroup);
     streetElements.buildingGroup = buildingGroup;
     
+    // So does the building; blown-apart props bounce off its walls, floor and ceiling
+    buildingGroup.userData.fixed = true;
+    streetElements.barBounds = new THREE.Box3(
+        new THREE.Vector3(-buildingWidth/2, 0, -buildingDepth),
+        new THREE.Vector3(buildingWidth/2, buildingHeight, 0)
+    );
+    
     // Store references to wall components
     streetElements.walls = [topWallGroup, leftWallGroup, rightWallGroup, backWallGroup, leftSideWallGroup, rightSideWallGroup]; 
     streetElements.wallMiddleLayers = [topWallMiddle, leftWallMiddle, rightWallMiddle, backWallMiddle, leftSideWallMiddle, rightSideWallMiddle];
@@ -1255,6 +1556,19 @@ const createStreetScene = () => {
     cutOutWindowInWall(window1, findWallWithWindow(window1.position.x));
     cutOutWindowInWall(window2, findWallWithWindow(window2.position.x));
     
+    // Facade windows and gravestones repeat across every building, so they are instanced;
+    // the sets are built into the exterior once all the buildings are up
+    const windowFrameMaterial = createWireframeMaterial(0xffffff); // Tinted per instance with the style's window color
+    windowFrameMaterial.side = THREE.DoubleSide;
+    const windowFrames = createInstancedSet(new THREE.BoxGeometry(1, 1, 0.15), windowFrameMaterial);
+    const windowHoles = createInstancedSet(new THREE.BoxGeometry(1, 1, 0.25), new THREE.MeshBasicMaterial({
+        color: 0x000000,
+        transparent: true,
+        opacity: 0.0,
+        side: THREE.DoubleSide
+    }));
+    const gravestones = createInstancedSet(new THREE.BoxGeometry(1, 1, 0.2), createWireframeMaterial(0x999999));
+    
     // Create additional buildings along the street
     const createBuildingFacade = (x, z, width, height, depth, style) => {
         const buildingGroup = new THREE.Group();
@@ -1332,29 +1646,23 @@ const createStreetScene = () => {
                     if (isCenterCol && row > 0) continue;
                     
                     // Skip some positions randomly
-                    if (Math.random() > 0.7) continue;
+                    if (random() > 0.7) continue;
                     
                     // Position with some randomness
-                    const posX = -width/2 + 1 + col * 2 + (Math.random() * 0.8 - 0.4);
-                    const posZ = -2 - row * 4 - (Math.random() * 2);
+                    const posX = -width/2 + 1 + col * 2 + (random() * 0.8 - 0.4);
+                    const posZ = -2 - row * 4 - (random() * 2);
                     
                     // Create gravestone
-                    const stoneHeight = 0.8 + Math.random() * 0.6;
-                    const stoneWidth = 0.6 + Math.random() * 0.3;
+                    const stoneHeight = 0.8 + random() * 0.6;
+                    const stoneWidth = 0.6 + random() * 0.3;
                     
-                    // Stone base shape varies
-                    let stoneGeometry;
-                    if (Math.random() > 0.5) {
-                        // Rectangle with rounded top
-                        stoneGeometry = new THREE.BoxGeometry(stoneWidth, stoneHeight, 0.2);
-                    } else {
-                        // Cross shape
-                        stoneGeometry = new THREE.BoxGeometry(stoneWidth, stoneHeight, 0.2);
-                    }
-                    
-                    const stoneMaterial = createWireframeMaterial(0x999999);
-                    const stone = new THREE.Mesh(stoneGeometry, stoneMaterial);
+                    // Stone base shape varies, though both shapes are boxes for now; keep the
+                    // draw so the seeded layout doesn't shift
+                    random();
                     
+                    // Instanced unit stone, scaled to this stone's size
+                    const stone = gravestones.addInstance();
+                    stone.scale.set(stoneWidth, stoneHeight, 1);
                     stone.position.set(posX, stoneHeight/2, posZ);
                     graveyard.add(stone);
                 }
@@ -1405,7 +1713,7 @@ const createStreetScene = () => {
                 const windowY = 1 + row * 1.5;
                 
                 // Skip some windows randomly for variety
-                if (Math.random() > 0.85 && style !== 'hospital') continue;
+                if (random() > 0.85 && style !== 'hospital') continue;
                 
                 // Create a window
                 let windowWidth = 0.8;
@@ -1425,24 +1733,16 @@ const createStreetScene = () => {
                     windowHeight = 1.4;
                 }
                 
-                // Create window frame
-                const frameGeometry = new THREE.BoxGeometry(windowWidth, windowHeight, 0.15);
-                const frameMaterial = createWireframeMaterial(windowColor);
-                frameMaterial.side = THREE.DoubleSide;
-                const frame = new THREE.Mesh(frameGeometry, frameMaterial);
+                // Create window frame (instanced unit frame, scaled and tinted for this style)
+                const frame = windowFrames.addInstance(windowColor);
+                frame.scale.set(windowWidth, windowHeight, 1);
                 frame.position.set(windowX, windowY, 0.05);
                 frontWallGroup.add(frame);
                 
                 // Create a window cutout in the middle layer
                 const cutoutSize = Math.min(windowWidth, windowHeight) * 0.8;
-                const holeGeometry = new THREE.BoxGeometry(cutoutSize, cutoutSize, 0.25);
-                const holeMaterial = new THREE.MeshBasicMaterial({
-                    color: 0x000000,
-                    transparent: true,
-                    opacity: 0.0,
-                    side: THREE.DoubleSide
-                });
-                const hole = new THREE.Mesh(holeGeometry, holeMaterial);
+                const hole = windowHoles.addInstance();
+                hole.scale.set(cutoutSize, cutoutSize, 1);
                 hole.position.set(windowX, windowY, 0);
                 wallMiddle.add(hole);
             }
@@ -1549,29 +1849,23 @@ const createStreetScene = () => {
             for (let row = 0; row < rowCount; row++) {
                 for (let col = 0; col < colCount; col++) {
                     // Skip some positions randomly
-                    if (Math.random() > 0.7) continue;
+                    if (random() > 0.7) continue;
                     
                     // Position with some randomness
-                    const posX = -width/2 + 1 + col * 2 + (Math.random() * 0.8 - 0.4);
-                    const posZ = -2 - row * 4 - (Math.random() * 2);
+                    const posX = -width/2 + 1 + col * 2 + (random() * 0.8 - 0.4);
+                    const posZ = -2 - row * 4 - (random() * 2);
                     
                     // Create gravestone
-                    const stoneHeight = 0.8 + Math.random() * 0.6;
-                    const stoneWidth = 0.6 + Math.random() * 0.3;
+                    const stoneHeight = 0.8 + random() * 0.6;
+                    const stoneWidth = 0.6 + random() * 0.3;
                     
-                    // Stone base shape varies
-                    let stoneGeometry;
-                    if (Math.random() > 0.5) {
-                        // Rectangle with rounded top
-                        stoneGeometry = new THREE.BoxGeometry(stoneWidth, stoneHeight, 0.2);
-                    } else {
-                        // Cross shape
-                        stoneGeometry = new THREE.BoxGeometry(stoneWidth, stoneHeight, 0.2);
-                    }
-                    
-                    const stoneMaterial = createWireframeMaterial(0x999999);
-                    const stone = new THREE.Mesh(stoneGeometry, stoneMaterial);
+                    // Stone base shape varies, though both shapes are boxes for now; keep the
+                    // draw so the seeded layout doesn't shift
+                    random();
                     
+                    // Instanced unit stone, scaled to this stone's size
+                    const stone = gravestones.addInstance();
+                    stone.scale.set(stoneWidth, stoneHeight, 1);
                     stone.position.set(posX, stoneHeight/2, posZ);
                     graveyard.add(stone);
                 }
@@ -1672,15 +1966,18 @@ const createStreetScene = () => {
     const buildingGap = 2; // Gap between buildings
     const facadeDepth = 10; // Renamed from buildingDepth to avoid redeclaration
     
+    // Walk mode treats each building as solid; graveyards are open ground
+    streetElements.buildings = [];
+    
     // Buildings on the left side (negative x)
     let nextBuildingX = -buildingWidth/2 - buildingGap;
     for (let i = 0; i < 3; i++) {
         // Randomize building properties for variety
-        const width = 8 + Math.random() * 6; // Width between 8 and 14
-        const height = 4 + Math.random() * 3; // Height between 4 and 7
+        const width = 8 + random() * 6; // Width between 8 and 14
+        const height = 4 + random() * 3; // Height between 4 and 7
         
         // Get random style, but ensure hospital and graveyard are placed with correct dimensions
-        let style = buildingStyles[Math.floor(Math.random() * buildingStyles.length)];
+        let style = buildingStyles[Math.floor(random() * buildingStyles.length)];
         let buildingWidth = width;
         let buildingDepth = facadeDepth;
         
@@ -1689,7 +1986,7 @@ const createStreetScene = () => {
             buildingWidth = width * 2; // Hospital is twice as wide
             // If this would be the last building, don't place a hospital (not enough space)
             if (i === 2) {
-                style = buildingStyles[Math.floor(Math.random() * 4)]; // Pick a different style
+                style = buildingStyles[Math.floor(random() * 4)]; // Pick a different style
                 buildingWidth = width; // Reset width
             }
         } else if (style === 'graveyard') {
@@ -1702,6 +1999,7 @@ const createStreetScene = () => {
         // Create and add the building
         const building = createBuildingFacade(x, 0, buildingWidth, height, buildingDepth, style);
         sceneGroups.exterior.add(building);
+        if (style !== 'graveyard') streetElements.buildings.push(building);
         
         // Update next building position
         nextBuildingX = x - buildingWidth/2 - buildingGap;
@@ -1711,11 +2009,11 @@ const createStreetScene = () => {
     nextBuildingX = buildingWidth/2 + buildingGap;
     for (let i = 0; i < 3; i++) {
         // Randomize building properties for variety
-        const width = 8 + Math.random() * 6; // Width between 8 and 14
-        const height = 4 + Math.random() * 3; // Height between 4 and 7
+        const width = 8 + random() * 6; // Width between 8 and 14
+        const height = 4 + random() * 3; // Height between 4 and 7
         
         // Get random style, but ensure hospital and graveyard are placed with correct dimensions
-        let style = buildingStyles[Math.floor(Math.random() * buildingStyles.length)];
+        let style = buildingStyles[Math.floor(random() * buildingStyles.length)];
         let buildingWidth = width;
         let buildingDepth = facadeDepth;
         
@@ -1724,7 +2022,7 @@ const createStreetScene = () => {
             buildingWidth = width * 2; // Hospital is twice as wide
             // If this would be the last building, don't place a hospital (not enough space)
             if (i === 2) {
-                style = buildingStyles[Math.floor(Math.random() * 4)]; // Pick a different style
+                style = buildingStyles[Math.floor(random() * 4)]; // Pick a different style
                 buildingWidth = width; // Reset width
             }
         } else if (style === 'graveyard') {
@@ -1737,6 +2035,7 @@ const createStreetScene = () => {
         // Create and add the building
         const building = createBuildingFacade(x, 0, buildingWidth, height, buildingDepth, style);
         sceneGroups.exterior.add(building);
+        if (style !== 'graveyard') streetElements.buildings.push(building);
         
         // Update next building position
         nextBuildingX = x + buildingWidth/2 + buildingGap;
@@ -1753,21 +2052,21 @@ const createStreetScene = () => {
     const streetWidth = streetRightEdge - streetLeftEdge;
     
     // Create 6-8 buildings spread across the street width with proper spacing
-    const numFarBuildings = 6 + Math.floor(Math.random() * 3); // 6 to 8 buildings
+    const numFarBuildings = 6 + Math.floor(random() * 3); // 6 to 8 buildings
     const avgBuildingWidth = streetWidth / numFarBuildings;
     
     // Loop through and create buildings with predictable placement
     for (let i = 0; i < numFarBuildings; i++) {
         // Calculate a reasonable width that won't cause overlap
         const maxWidth = avgBuildingWidth - buildingGap;
-        const width = 8 + Math.random() * Math.min(6, maxWidth - 8); // Width between 8 and min(14, maxWidth)
+        const width = 8 + random() * Math.min(6, maxWidth - 8); // Width between 8 and min(14, maxWidth)
         
         // Calculate the center position for this building
         const x = streetLeftEdge + (i * avgBuildingWidth) + (avgBuildingWidth / 2);
         
         // Randomize other properties
-        const height = 4 + Math.random() * 3; // Height between 4 and 7
-        const style = buildingStyles[Math.floor(Math.random() * buildingStyles.length)];
+        const height = 4 + random() * 3; // Height between 4 and 7
+        const style = buildingStyles[Math.floor(random() * buildingStyles.length)];
         
         // Create and add the building
         const building = createBuildingFacade(x, farZ, width, height, facadeDepth, style);
@@ -1776,7 +2075,7 @@ const createStreetScene = () => {
         building.rotation.y = Math.PI;
         
         // Add small random offset to avoid perfect alignment
-        building.position.z += Math.random() * 2 - 1; // +/- 1 unit random z variation
+        building.position.z += random() * 2 - 1; // +/- 1 unit random z variation
         
         sceneGroups.exterior.add(building);
     }
@@ -1812,6 +2111,7 @@ const createStreetScene = () => {
         const letterMaterial = createWireframeMaterial(letterColor);
         const letter = new THREE.Mesh(letterGeometry, letterMaterial);
         letter.position.set(pos.x, pos.y, pos.z);
+        markEmissive(letter);
         textGroup.add(letter);
     });
     
@@ -1855,6 +2155,7 @@ const createStreetScene = () => {
         const lightMaterial = createWireframeMaterial(0xFF8C00); // Orange sodium vapor color
         const light = new THREE.Mesh(lightGeometry, lightMaterial);
         light.position.set(2.0, 7.3, 0); // Slightly below the housing
+        markEmissive(light);
         lampGroup.add(light);
         
         // Add a point light for actual illumination
@@ -1958,13 +2259,14 @@ const createStreetScene = () => {
     streetElements.streetLamps[2].rotation.y = Math.PI / 2; // Left side lamps face right
     streetElements.streetLamps[3].rotation.y = Math.PI / 2;  // Right side lamps face left
     
-    // Add cars driving on the street
-    streetElements.cars = [
-        createCar(-8, 13, getRandomCarColor(), 'left'),   // Car on left lane
-        createCar(8, 9, getRandomCarColor(), 'right'),    // Car on right lane
-        createCar(-4, 13, getRandomCarColor(), 'left'),   // Car on left lane
-        createCar(4, 9, getRandomCarColor(), 'right')     // Car on right lane
+    // Add cars driving on the street (remembered so the traffic can be put back as it started)
+    streetElements.startingCars = [
+        { x: -8, z: 13, color: getRandomCarColor(random), direction: 'left' },   // Car on left lane
+        { x: 8, z: 9, color: getRandomCarColor(random), direction: 'right' },    // Car on right lane
+        { x: -4, z: 13, color: getRandomCarColor(random), direction: 'left' },   // Car on left lane
+        { x: 4, z: 9, color: getRandomCarColor(random), direction: 'right' }     // Car on right lane
     ];
+    streetElements.cars = streetElements.startingCars.map(({ x, z, color, direction }) => createCar(x, z, color, direction));
     
     // Store the last time a car was spawned
     streetElements.lastCarSpawnTime = 0;
@@ -2208,6 +2510,7 @@ const createStreetScene = () => {
     
     // Add a bus on the right lane (going left) - keep blue color for contrast but make it white
     const bus = createBus(-20, 5, 0xFFFFFF, 'right'); // White MBTA bus
+    bus.userData.startPosition = bus.position.clone();
     streetElements.bus = bus;
     
     // Add a bus stop on the far sidewalk
@@ -2216,6 +2519,8 @@ const createStreetScene = () => {
     busStop.rotation.y = 0; 
     streetElements.busStop = busStop;
     
+    [windowFrames, windowHoles, gravestones].forEach(set => set.build(sceneGroups.exterior));
+    
     return streetElements;
 };
 
@@ -2239,21 +2544,35 @@ const createInteriorScene = () => {
     sceneGroups.interior.add(barCounter);
     interiorElements.barCounter = barCounter;
     
+    // Repeated furniture parts are instanced: each part below is one draw call for every
+    // copy of it, and the sets are built into the interior once all props are placed
+    const stoolSeats = createInstancedSet(new THREE.CylinderGeometry(0.4, 0.4, 0.1, 8, 1), createGlowingWireframeMaterial(0x88CCFF, 1.0, 0.3)); // Light blue glow
+    const stoolLegs = createInstancedSet(new THREE.CylinderGeometry(0.1, 0.1, 1, 4, 1), createWireframeMaterial(0x555555));
+    const boothSeats = createInstancedSet(new THREE.BoxGeometry(2.2, 0.6, 0.8, 3, 2, 2), createGlowingWireframeMaterial(0xFF6666, 1.0, 0.4)); // Brighter red with glow
+    const boothBackrests = createInstancedSet(new THREE.BoxGeometry(2.2, 0.8, 0.2, 3, 2, 1), createGlowingWireframeMaterial(0xFF6666, 1.0, 0.4)); // Matching red
+    const boothTables = createInstancedSet(new THREE.BoxGeometry(2, 0.1, 0.8, 3, 1, 2), createGlowingWireframeMaterial(0xFFAA44, 1.0, 0.3)); // Warm orange
+    const boothTableLegs = createInstancedSet(new THREE.BoxGeometry(0.08, 0.8, 0.08, 1, 1, 1), createWireframeMaterial(0x8B4513));
+    const condimentTrays = createInstancedSet(new THREE.BoxGeometry(0.3, 0.05, 0.3, 1, 1, 1), createWireframeMaterial(0x666666));
+    const shakers = createInstancedSet(new THREE.CylinderGeometry(0.04, 0.04, 0.1, 6, 1), createWireframeMaterial(0xFFFFFF)); // Tinted per instance
+    const tableTops = createInstancedSet(new THREE.BoxGeometry(1.5, 0.1, 1.5, 2, 1, 2), createGlowingWireframeMaterial(0xFFAA44, 1.0, 0.3)); // Warm orange glow
+    const tableLegs = createInstancedSet(new THREE.BoxGeometry(0.1, 0.75, 0.1, 1, 1, 1), createWireframeMaterial(0x8B4513));
+    const chairSeats = createInstancedSet(new THREE.BoxGeometry(0.6, 0.1, 0.6, 2, 1, 2), createGlowingWireframeMaterial(0xAA88FF, 1.0, 0.3)); // Lavender glow
+    const chairBacks = createInstancedSet(new THREE.BoxGeometry(0.6, 0.6, 0.1, 2, 2, 1), createGlowingWireframeMaterial(0xAA88FF, 1.0, 0.3)); // Matching lavender
+    const chairLegs = createInstancedSet(new THREE.BoxGeometry(0.05, 0.5, 0.05, 1, 1, 1), createWireframeMaterial(0x666666));
+    const canBodies = createInstancedSet(new THREE.CylinderGeometry(0.1, 0.1, 0.4, 6, 1), createWireframeMaterial(0xCCCCCC)); // Silver can
+    const canLabels = createInstancedSet(new THREE.CylinderGeometry(0.101, 0.101, 0.2, 6, 1), createWireframeMaterial(0xFF0000)); // Red label
+    
     // Bar stools - repositioned to be in front of the rotated bar
     const createBarStool = (z) => {
         const stoolGroup = new THREE.Group();
         
         // Stool seat with enhanced visibility
-        const seatGeometry = new THREE.CylinderGeometry(0.4, 0.4, 0.1, 8, 1);
-        const seatMaterial = createGlowingWireframeMaterial(0x88CCFF, 1.0, 0.3); // Light blue glow
-        const seat = new THREE.Mesh(seatGeometry, seatMaterial);
+        const seat = stoolSeats.addInstance();
         seat.position.y = 1;
         stoolGroup.add(seat);
         
         // Stool leg
-        const legGeometry = new THREE.CylinderGeometry(0.1, 0.1, 1, 4, 1);
-        const legMaterial = createWireframeMaterial(0x555555);
-        const leg = new THREE.Mesh(legGeometry, legMaterial);
+        const leg = stoolLegs.addInstance();
         leg.position.y = 0.5;
         stoolGroup.add(leg);
         
@@ -2277,64 +2596,48 @@ const createInteriorScene = () => {
         const boothGroup = new THREE.Group();
         
         // Booth seat
-        const seatGeometry = new THREE.BoxGeometry(2.2, 0.6, 0.8, 3, 2, 2);
-        const seatMaterial = createGlowingWireframeMaterial(0xFF6666, 1.0, 0.4); // Brighter red with glow
-        const seat = new THREE.Mesh(seatGeometry, seatMaterial);
+        const seat = boothSeats.addInstance();
         seat.position.set(0, 0.3, 0);
         boothGroup.add(seat);
         
         // Booth backrest
-        const backrestGeometry = new THREE.BoxGeometry(2.2, 0.8, 0.2, 3, 2, 1);
-        const backrestMaterial = createGlowingWireframeMaterial(0xFF6666, 1.0, 0.4); // Matching red
-        const backrest = new THREE.Mesh(backrestGeometry, backrestMaterial);
+        const backrest = boothBackrests.addInstance();
         backrest.position.set(0, 0.9, -0.4);
         boothGroup.add(backrest);
         
         // Booth table
-        const tableGeometry = new THREE.BoxGeometry(2, 0.1, 0.8, 3, 1, 2);
-        const tableMaterial = createGlowingWireframeMaterial(0xFFAA44, 1.0, 0.3); // Warm orange
-        const table = new THREE.Mesh(tableGeometry, tableMaterial);
+        const table = boothTables.addInstance();
         table.position.set(0, 0.65, 0.8); // Positioned in front of the seat
         boothGroup.add(table);
         
-        // Table legs
-        const legGeometry = new THREE.BoxGeometry(0.08, 0.8, 0.08, 1, 1, 1);
-        const legMaterial = createWireframeMaterial(0x8B4513);
-        
         // Add four legs to the table
-        const frontLeftLeg = new THREE.Mesh(legGeometry, legMaterial);
+        const frontLeftLeg = boothTableLegs.addInstance();
         frontLeftLeg.position.set(0.85, 0.3, 1.1);
         boothGroup.add(frontLeftLeg);
         
-        const frontRightLeg = new THREE.Mesh(legGeometry, legMaterial);
+        const frontRightLeg = boothTableLegs.addInstance();
         frontRightLeg.position.set(-0.85, 0.3, 1.1);
         boothGroup.add(frontRightLeg);
         
-        const backLeftLeg = new THREE.Mesh(legGeometry, legMaterial);
+        const backLeftLeg = boothTableLegs.addInstance();
         backLeftLeg.position.set(0.85, 0.3, 0.5);
         boothGroup.add(backLeftLeg);
         
-        const backRightLeg = new THREE.Mesh(legGeometry, legMaterial);
+        const backRightLeg = boothTableLegs.addInstance();
         backRightLeg.position.set(-0.85, 0.3, 0.5);
         boothGroup.add(backRightLeg);
         
         // Optional details - condiment tray
-        const condimentTrayGeometry = new THREE.BoxGeometry(0.3, 0.05, 0.3, 1, 1, 1);
-        const condimentTrayMaterial = createWireframeMaterial(0x666666);
-        const condimentTray = new THREE.Mesh(condimentTrayGeometry, condimentTrayMaterial);
+        const condimentTray = condimentTrays.addInstance();
         condimentTray.position.set(0.7, 0.8, 0.8);
         boothGroup.add(condimentTray);
         
         // Salt and pepper shakers
-        const shakerGeometry = new THREE.CylinderGeometry(0.04, 0.04, 0.1, 6, 1);
-        const saltMaterial = createWireframeMaterial(0xFFFFFF);
-        const pepperMaterial = createWireframeMaterial(0x222222);
-        
-        const saltShaker = new THREE.Mesh(shakerGeometry, saltMaterial);
+        const saltShaker = shakers.addInstance(0xFFFFFF);
         saltShaker.position.set(0.65, 0.87, 0.75);
         boothGroup.add(saltShaker);
         
-        const pepperShaker = new THREE.Mesh(shakerGeometry, pepperMaterial);
+        const pepperShaker = shakers.addInstance(0x222222);
         pepperShaker.position.set(0.75, 0.87, 0.85);
         boothGroup.add(pepperShaker);
         
@@ -2349,16 +2652,12 @@ const createInteriorScene = () => {
         const boothGroup = new THREE.Group();
         
         // Booth seat
-        const seatGeometry = new THREE.BoxGeometry(2.2, 0.6, 0.8, 3, 2, 2);
-        const seatMaterial = createGlowingWireframeMaterial(0xFF6666, 1.0, 0.4); // Brighter red with glow
-        const seat = new THREE.Mesh(seatGeometry, seatMaterial);
+        const seat = boothSeats.addInstance();
         seat.position.set(0, 0.3, -0.7);
         boothGroup.add(seat);
         
         // Booth backrest on the opposite side
-        const backrestGeometry = new THREE.BoxGeometry(2.2, 0.8, 0.2, 3, 2, 1);
-        const backrestMaterial = createGlowingWireframeMaterial(0xFF6666, 1.0, 0.4); // Matching red
-        const backrest = new THREE.Mesh(backrestGeometry, backrestMaterial);
+        const backrest = boothBackrests.addInstance();
         // This is the key change - backrest is on the opposite side
         backrest.position.set(0, 0.9, -1.0); // Backrest faces the opposite direction
         boothGroup.add(backrest);
@@ -2398,30 +2697,24 @@ const createInteriorScene = () => {
         const tableGroup = new THREE.Group();
         
         // Table top with enhanced visibility
-        const tableGeometry = new THREE.BoxGeometry(1.5, 0.1, 1.5, 2, 1, 2);
-        const tableMaterial = createGlowingWireframeMaterial(0xFFAA44, 1.0, 0.3); // Warm orange glow
-        const tableTop = new THREE.Mesh(tableGeometry, tableMaterial);
+        const tableTop = tableTops.addInstance();
         tableTop.position.y = 0.75;
         tableGroup.add(tableTop);
         
-        // Table legs
-        const legGeometry = new THREE.BoxGeometry(0.1, 0.75, 0.1, 1, 1, 1);
-        const legMaterial = createWireframeMaterial(0x8B4513);
-        
         // Create four legs
-        const leg1 = new THREE.Mesh(legGeometry, legMaterial);
+        const leg1 = tableLegs.addInstance();
         leg1.position.set(0.6, 0.375, 0.6);
         tableGroup.add(leg1);
         
-        const leg2 = new THREE.Mesh(legGeometry, legMaterial);
+        const leg2 = tableLegs.addInstance();
         leg2.position.set(0.6, 0.375, -0.6);
         tableGroup.add(leg2);
         
-        const leg3 = new THREE.Mesh(legGeometry, legMaterial);
+        const leg3 = tableLegs.addInstance();
         leg3.position.set(-0.6, 0.375, 0.6);
         tableGroup.add(leg3);
         
-        const leg4 = new THREE.Mesh(legGeometry, legMaterial);
+        const leg4 = tableLegs.addInstance();
         leg4.position.set(-0.6, 0.375, -0.6);
         tableGroup.add(leg4);
         
@@ -2434,37 +2727,29 @@ const createInteriorScene = () => {
         const chairGroup = new THREE.Group();
         
         // Chair seat with enhanced visibility
-        const seatGeometry = new THREE.BoxGeometry(0.6, 0.1, 0.6, 2, 1, 2);
-        const seatMaterial = createGlowingWireframeMaterial(0xAA88FF, 1.0, 0.3); // Lavender glow
-        const seat = new THREE.Mesh(seatGeometry, seatMaterial);
+        const seat = chairSeats.addInstance();
         seat.position.y = 0.5;
         chairGroup.add(seat);
         
         // Chair back
-        const backGeometry = new THREE.BoxGeometry(0.6, 0.6, 0.1, 2, 2, 1);
-        const backMaterial = createGlowingWireframeMaterial(0xAA88FF, 1.0, 0.3); // Matching lavender
-        const back = new THREE.Mesh(backGeometry, backMaterial);
+        const back = chairBacks.addInstance();
         back.position.set(0, 0.8, -0.25);
         chairGroup.add(back);
         
-        // Chair legs
-        const legGeometry = new THREE.BoxGeometry(0.05, 0.5, 0.05, 1, 1, 1);
-        const legMaterial = createWireframeMaterial(0x666666);
-        
         // Create four legs
-        const leg1 = new THREE.Mesh(legGeometry, legMaterial);
+        const leg1 = chairLegs.addInstance();
         leg1.position.set(0.25, 0.25, 0.25);
         chairGroup.add(leg1);
         
-        const leg2 = new THREE.Mesh(legGeometry, legMaterial);
+        const leg2 = chairLegs.addInstance();
         leg2.position.set(0.25, 0.25, -0.25);
         chairGroup.add(leg2);
         
-        const leg3 = new THREE.Mesh(legGeometry, legMaterial);
+        const leg3 = chairLegs.addInstance();
         leg3.position.set(-0.25, 0.25, 0.25);
         chairGroup.add(leg3);
         
-        const leg4 = new THREE.Mesh(legGeometry, legMaterial);
+        const leg4 = chairLegs.addInstance();
         leg4.position.set(-0.25, 0.25, -0.25);
         chairGroup.add(leg4);
         
@@ -2596,6 +2881,7 @@ const createInteriorScene = () => {
         const x = Math.cos(angle) * radius;
         const z = Math.sin(angle) * radius;
         const fairy = createFairy(x, 0, z);
+        markEmissive(fairy);
         fairiesGroup.add(fairy);
         interiorElements.fairies.push(fairy);
     }
@@ -2645,15 +2931,11 @@ const createInteriorScene = () => {
         const canGroup = new THREE.Group();
         
         // Can body
-        const canGeometry = new THREE.CylinderGeometry(0.1, 0.1, 0.4, 6, 1);
-        const canMaterial = createWireframeMaterial(0xCCCCCC); // Silver can
-        const can = new THREE.Mesh(canGeometry, canMaterial);
+        const can = canBodies.addInstance();
         canGroup.add(can);
         
         // Beer can label (simplified as a band)
-        const labelGeometry = new THREE.CylinderGeometry(0.101, 0.101, 0.2, 6, 1);
-        const labelMaterial = createWireframeMaterial(0xFF0000); // Red label
-        const label = new THREE.Mesh(labelGeometry, labelMaterial);
+        const label = canLabels.addInstance();
         canGroup.add(label);
         
         // Position the can group - using custom Y if provided, otherwise default to table height
@@ -2687,6 +2969,7 @@ const createInteriorScene = () => {
     const tvScreen = new THREE.Mesh(screenGeometry, screenMaterial);
     tvScreen.position.set(0, 2.5, -14.9); // Moved to back wall
     tvScreen.rotation.y = Math.PI; // Rotate to face into the room
+    markEmissive(tvScreen);
     sceneGroups.interior.add(tvScreen);
     interiorElements.tvScreen = tvScreen;
     
@@ -2705,11 +2988,17 @@ const createInteriorScene = () => {
         createSpeaker(3.25)   // Right speaker
     ];
     
+    // Every furniture part has all its copies now, so draw them
+    [
+        stoolSeats, stoolLegs, boothSeats, boothBackrests, boothTables, boothTableLegs, condimentTrays, shakers,
+        tableTops, tableLegs, chairSeats, chairBacks, chairLegs, canBodies, canLabels
+    ].forEach(set => set.build(sceneGroups.interior));
+    
     return interiorElements;
 };
 
 // Create all scenes
-const streetElements = createStreetScene();
+const streetElements = createStreetScene(seededRandom('street'));
 const interiorElements = createInteriorScene();
 
 // Check for and remove any unwanted wireframe elements in the doorway area
@@ -2791,6 +3080,19 @@ const cleanupUnwantedElements = () => {
 // Call the cleanup function
 cleanupUnwantedElements();
 
+// Free everything createStreetScene and createInteriorScene generated; the scene groups stay, empty
+const disposeStreetScene = () => {
+    disposeInstancedSets(sceneGroups.exterior);
+    disposeChildren(sceneGroups.exterior);
+    Object.keys(streetElements).forEach(key => delete streetElements[key]);
+};
+
+const disposeInteriorScene = () => {
+    disposeInstancedSets(sceneGroups.interior);
+    disposeChildren(sceneGroups.interior);
+    Object.keys(interiorElements).forEach(key => delete interiorElements[key]);
+};
+
 // Initialize scene visibility - MODIFIED to support the new approach
 const resetSceneVisibility = () => {
     // Keep both scenes visible at all times
@@ -2818,14 +3120,18 @@ const animateInteriorElements = () => {
     }
     
     // Get audio levels for reactivity (will return 0 if audio not ready)
-    const bassLevel = getAverageFrequency(1, 4);    // Bass frequencies
-    const midLevel = getAverageFrequency(5, 20);    // Mid frequencies
-    const highLevel = getAverageFrequency(50, 100); // High frequencies
+    const bassLevel = getBand('bass').level;
+    const midLevel = getBand('mid').level;
+    const highLevel = getBand('high').level;
     
     // Animate fairies
     if (interiorElements.fairies) {
-        // Calculate overall group rotation based on audio - MUCH slower
-        const groupRotationSpeed = 0.001 * (1 + bassLevel * 0.3 + midLevel * 0.2); // Slowed down from 0.005
+        const beat = getBeatState();
+        
+        // Calculate overall group rotation based on audio - MUCH slower; it surges on each
+        // bar's first beat once the tempo is known
+        const barSurge = beat.beatInBar === 0 ? beat.beatPulse * 2 : 0;
+        const groupRotationSpeed = 0.001 * (1 + bassLevel * 0.3 + midLevel * 0.2 + barSurge); // Slowed down from 0.005
         
         // Rotate the fairy group as a whole
         if (interiorElements.fairiesGroup) {
@@ -2843,14 +3149,14 @@ const animateInteriorElements = () => {
             fairy.position.x = Math.sin(fairyOrbitTime * orbitSpeed + orbitPhase) * orbitRadius;
             fairy.position.z = Math.cos(fairyOrbitTime * orbitSpeed + orbitPhase) * orbitRadius;
             
-            // Much gentler bobbing up and down
-            fairy.position.y = Math.sin(fairyOrbitTime * 0.2 + index) * 0.2; // Reduced speed and amplitude
+            // Much gentler bobbing up and down, with a hop on every beat
+            fairy.position.y = Math.sin(fairyOrbitTime * 0.2 + index) * 0.2 + beat.beatPulse * 0.25; // Reduced speed and amplitude
             
             // Very slow individual rotation (keeps wireframe appearance)
             const rotationSpeed = 0.003 * (1 + bassLevel * 0.3 + midLevel * 0.2); // Significantly slowed down from 0.01
-            fairy.rotation.y += rotationSpeed * (0.7 + Math.random() * 0.3); // Less randomization
-            fairy.rotation.x += rotationSpeed * 0.2 * (Math.random() - 0.5); // Reduced impact of randomization
-            fairy.rotation.z += rotationSpeed * 0.2 * (Math.random() - 0.5); // Reduced impact of randomization
+            fairy.rotation.y += rotationSpeed * (0.7 + fairyRandom() * 0.3); // Less randomization
+            fairy.rotation.x += rotationSpeed * 0.2 * (fairyRandom() - 0.5); // Reduced impact of randomization
+            fairy.rotation.z += rotationSpeed * 0.2 * (fairyRandom() - 0.5); // Reduced impact of randomization
         });
     }
     
@@ -2879,32 +3185,25 @@ const animateInteriorElements = () => {
 // Neon light glow animation and shared animation variables
 let time = 0;
 
-// Get average frequency in a range of the analyzer data
-const getAverageFrequency = (start, end) => {
-    // Return 0 if audio analyzer is not ready
-    if (typeof audioAnalyser === 'undefined' || !audioData) return 0;
-    
-    let sum = 0;
-    const length = Math.min(end, audioData.length) - start;
-    
-    if (length <= 0) return 0;
-    
-    for (let i = start; i < Math.min(end, audioData.length); i++) {
-        sum += audioData[i];
-    }
-    
-    return sum / length / 255; // Normalize to 0-1 range
-};
-
-const animateNeonSigns = () => {
-    time += 0.05;
+const animateNeonSigns = (timeStep = 0.05) => {
+    time += timeStep;
     
     // Animate the KARAOKE sign letters with alternating colors
     if (streetElements.karaokeSigns) {
+        const beat = getBeatState();
+        const letterCount = streetElements.karaokeSigns.children.length;
         streetElements.karaokeSigns.children.forEach((letter, index) => {
-            // Create flashing effect with sine wave
-            const blinkSpeed = 0.5 + index * 0.1;
-            const brightness = Math.sin(time * blinkSpeed) * 0.5 + 0.5;
+            // Create flashing effect with sine wave, or once the tempo is known, chase along
+            // the letters one per beat with the whole sign lighting up on each bar's first beat
+            let brightness;
+            if (beat.locked) {
+                const chased = beat.beatCount > 0 && (beat.beatCount - 1) % letterCount === index;
+                const barFlash = beat.beatInBar === 0 ? beat.beatPulse : 0;
+                brightness = 0.3 + 0.7 * Math.max(chased ? beat.beatPulse * 0.5 + 0.5 : 0, barFlash);
+            } else {
+                const blinkSpeed = 0.5 + index * 0.1;
+                brightness = Math.sin(time * blinkSpeed) * 0.5 + 0.5;
+            }
             
             // Alternate colors
             const baseColor = index % 2 === 0 ? 0xff0000 : 0x00ffff;
@@ -2919,6 +3218,11 @@ const animateNeonSigns = () => {
                 g / 255 * brightness,
                 b / 255 * brightness
             );
+            
+            // A signFlash cue overrides the blinking with its flash color
+            if (signFlash.amount > 0) {
+                letter.material.color.lerp(signFlash.color, signFlash.amount);
+            }
         });
     }
     
@@ -3021,7 +3325,7 @@ const animateNeonSigns = () => {
             // Remove cars that go off-screen
             if ((direction === 'left' && newX > 40) || 
                 (direction === 'right' && newX < -40)) {
-                sceneGroups.exterior.remove(car);
+                disposeObject(car);
                 streetElements.cars.splice(i, 1);
                 continue;
             }
@@ -3093,7 +3397,7 @@ const animateNeonSigns = () => {
             if (canSpawn) {
                 // Spawn new car
                 const direction = spawnLeft ? 'left' : 'right';
-                const newCar = createCar(spawnX, spawnZ, getRandomCarColor(), direction);
+                const newCar = createCar(spawnX, spawnZ, getRandomCarColor(trafficRandom), direction);
                 streetElements.cars.push(newCar);
                 
                 // Update the last spawn time
@@ -3137,58 +3441,132 @@ const animateNeonSigns = () => {
     }
     
     // Animate interior elements if we're in the interior scene or transitioning to it
-    if (currentScene === 'interior' || nextScene === 'interior') {
+    if (cameraPositions[currentScene].inside || (nextScene && cameraPositions[nextScene].inside)) {
         animateInteriorElements();
     }
     // Don't force transition - let audio system handle it
 };
 
-// Event listener for scene transitions with spacebar - COMMENTED OUT
-/*
+// Spacebar goes in or out of the bar; pressed midway, it turns the camera back
 document.addEventListener('keydown', (event) => {
-    if (event.code === 'Space' && !isTransitioning) {
-        const nextSceneName = currentScene === 'exterior' ? 'interior' : 'exterior';
+    if (isTypingInField(event)) return;
+    if (event.code === 'Space' && !event.repeat) {
+        event.preventDefault(); // Don't press a focused button or scroll the page
+        const inside = isTransitioning ? cameraPositions[nextScene].inside : isInsideBar(camera.position);
+        const nextSceneName = inside ? 'exterior' : 'interior';
         console.log(`Spacebar pressed: Transitioning to ${nextSceneName}`);
         transitionToScene(nextSceneName);
     }
 });
-*/
 
-// Handle window resize
-window.addEventListener('resize', () => {
-    camera.aspect = window.innerWidth / window.innerHeight;
+// Resize the canvas and the render pipeline; updateStyle false keeps the on-page size (offline renders)
+const setOutputSize = (width, height, updateStyle = true) => {
+    camera.aspect = width / height;
     camera.updateProjectionMatrix();
-    renderer.setSize(window.innerWidth, window.innerHeight);
+    renderer.setSize(width, height, updateStyle);
     
     // Update the pixelated render target
-    const newRenderTargetWidth = Math.floor(window.innerWidth * pixelRatio);
-    const newRenderTargetHeight = Math.floor(window.innerHeight * pixelRatio);
+    const newRenderTargetWidth = Math.max(1, Math.floor(width * pixelRatio * renderScale));
+    const newRenderTargetHeight = Math.max(1, Math.floor(height * pixelRatio * renderScale));
     renderTarget.setSize(newRenderTargetWidth, newRenderTargetHeight);
 
-    // Update post-processing ping-pong buffers
-    postBufferA.setSize(newRenderTargetWidth, newRenderTargetHeight);
-    postBufferB.setSize(newRenderTargetWidth, newRenderTargetHeight);
+    // Update the post-processing buffers and size-dependent uniforms
+    postPipeline.setSize(newRenderTargetWidth, newRenderTargetHeight);
+};
 
-    // Update shader resolution uniform
-    if (postMaterial.uniforms.resolution) {
-        postMaterial.uniforms.resolution.value.set(newRenderTargetWidth, newRenderTargetHeight);
-    }
-    if (postMaterial.uniforms.scanlineFrequency) { // Also update scanline frequency if it depends on height
-        postMaterial.uniforms.scanlineFrequency.value = newRenderTargetHeight * 1.5;
+// Handle window resize
+window.addEventListener('resize', () => {
+    if (offlineRenderActive) return;
+    setOutputSize(window.innerWidth, window.innerHeight);
+});
+
+// Settings panel (O) for tuning the look and feel without editing constants
+const setPassUniform = (passName, uniformName, value) => {
+    const pass = postPipeline.getPass(passName);
+    if (pass) pass.uniforms[uniformName].value = value;
+};
+createSettingsPanel([
+    { key: 'pixelRatio', label: 'Pixel ratio', min: 0.1, max: 1, step: 0.05, defaultValue: pixelRatio, apply: (value) => {
+        pixelRatio = value;
+        if (!offlineRenderActive) setOutputSize(window.innerWidth, window.innerHeight);
+    } },
+    { key: 'scanlineIntensity', label: 'Scanline intensity', min: 0, max: 0.3, step: 0.01, defaultValue: 0.03, apply: (value) => {
+        setPassUniform('scanlines', 'scanlineIntensity', value);
+    } },
+    { key: 'barrelDistortion', label: 'Barrel distortion', min: 0, max: 1, step: 0.01, defaultValue: 0.15, apply: (value) => {
+        setPassUniform('barrel', 'barrelDistortion', value);
+        setPassUniform('scanlines', 'scanlineCurvature', value); // Keep the scanlines on the curved screen
+    } },
+    { key: 'feedbackAmount', label: 'Feedback amount', min: 0, max: 0.95, step: 0.01, defaultValue: 0.65, apply: (value) => {
+        setPassUniform('feedback', 'feedbackAmount', value);
+    } },
+    { key: 'toneMappingStrength', label: 'Tone mapping strength', min: 0, max: 1, step: 0.05, defaultValue: 0.65, apply: (value) => {
+        setPassUniform('tonemap', 'toneMappingStrength', value);
+    } },
+    { key: 'moveSpeed', label: 'Move speed', min: 0.05, max: 1, step: 0.05, defaultValue: moveSpeed, apply: (value) => {
+        moveSpeed = value;
+    } },
+    { key: 'transitionDuration', label: 'Transition duration (s)', min: 0.5, max: 15, step: 0.5, defaultValue: transitionDuration, apply: (value) => {
+        transitionDuration = value;
+    } }
+]);
+
+// Gamepad bindings, remapped in a panel shown with G
+createGamepadPanel();
+
+// Shown once the viewer takes the camera off a rail; it hands the camera back (out of walk mode)
+createDirectorButton(camera, () => walkMode.setEnabled(false));
+
+// Performance governor: lowers the render scale and visual budget on slow devices to hold
+// the target frame rate (?targetFps=30 to change it, ?governor=off to always render at full quality)
+const governorParams = new URLSearchParams(window.location.search);
+let feedbackSuspended = false; // Feedback was on until the governor turned it off
+const performanceGovernor = createPerformanceGovernor({
+    targetFps: Number(governorParams.get('targetFps')) || 60,
+    apply: (level) => {
+        if (level.renderScale !== renderScale) {
+            renderScale = level.renderScale;
+            if (!offlineRenderActive) setOutputSize(window.innerWidth, window.innerHeight);
+        }
+        
+        setParticleBudget(level.particles);
+        
+        const feedbackPass = postPipeline.getPass('feedback');
+        if (feedbackPass && !level.feedback && feedbackPass.enabled) {
+            feedbackPass.enabled = false;
+            feedbackSuspended = true;
+        } else if (feedbackPass && level.feedback && feedbackSuspended) {
+            feedbackPass.enabled = true;
+            feedbackSuspended = false;
+        }
+        showPipelineDebug();
+        
+        // Hiding a light recompiles lit materials, but the governor changes level rarely
+        if (streetElements.streetLamps) {
+            streetElements.streetLamps.forEach((lamp, index) => {
+                lamp.children[5].visible = index < level.lampLights;
+            });
+        }
+    },
+    onStats: ({ fps, averageFrameTime, level, levelIndex, decision }) => {
+        setDebugValue('fps', `${fps.toFixed(1)} (${averageFrameTime.toFixed(1)} ms/frame)`);
+        setDebugValue('quality', `level ${levelIndex}: scale ${level.renderScale}, particles ${Math.round(level.particles * 100)}%, ` +
+            `feedback ${level.feedback ? 'on' : 'off'}, lamp lights ${level.lampLights}`);
+        setDebugValue('governor', decision);
     }
 });
+if (governorParams.get('governor') === 'off') performanceGovernor.setEnabled(false);
 
-// Animation loop with time tracking for transitions
-let lastTime = 0;
-const animate = (currentTime) => {
-    requestAnimationFrame(animate);
-    
-    // Calculate delta time for smooth transitions
-    const deltaTime = (currentTime - lastTime) / 1000; // convert to seconds
-    lastTime = currentTime;
-    
+// Tempo in the debug overlay, refreshed on every beat
+onBeat(({ bpm, beatInBar }) => {
+    setDebugValue('tempo', `${bpm.toFixed(1)} bpm, beat ${beatInBar + 1} of 4`);
+});
+
+// Step every animation by one frame and draw it through the post-processing pipeline.
+// deltaTime (seconds) drives scene transitions; timeStep advances the shared animation time.
+const renderFrame = (deltaTime, timeStep = 0.05) => {
     // Update time variable for animations
-    time += 0.05;
+    time += timeStep;
     
     // Update current scene information for audio system
     scene.userData.currentScene = currentScene;
@@ -3203,7 +3581,7 @@ const animate = (currentTime) => {
     scene.userData.transitionToScene = transitionToScene;
     
     // Update all animations
-    animateNeonSigns();
+    animateNeonSigns(timeStep);
     animateInteriorElements();
     updateNightSky(scene, time); // Update night sky
     updateSkybox(scene, time); // Update skybox
@@ -3212,33 +3590,88 @@ const animate = (currentTime) => {
     // Update audio-reactive elements
     updateAudioReactiveElements(scene, interiorElements, streetElements, time);
     
+    // Neon glow swells with the bass
+    bloomPass.uniforms.bloomStrength.value = 0.6 + getBand('bass').level * 1.4;
+    
     controls.update();
+    walkMode.update();
+    
+    // Move instanced props to where their stand-ins are
+    updateInstancedSets();
     
     // 1. Render main scene to low-res renderTarget (for pixelation)
     renderer.setRenderTarget(renderTarget);
     renderer.render(scene, camera);
     
-    // 2. Prepare postMaterial for effects pass (CRT + Trails)
-    postMaterial.uniforms.tDiffuse.value = renderTarget.texture;
-    postMaterial.uniforms.tFeedback.value = postBufferB.texture; // Previous frame with trails
-    postMaterial.uniforms.u_applyEffects.value = true;
+    // 2. Run the post-processing passes and show the result
+    postPipeline.render(renderer, renderTarget.texture);
+};
 
-    // 3. Render postScene (quad with postMaterial) into postBufferA
-    renderer.setRenderTarget(postBufferA);
-    renderer.render(postScene, postCamera);
+// Put everything that animates on its own back as it was when the page loaded: the shared
+// animation time, the traffic, the fairies, the particles and the feedback trails. The scene runs behind the
+// splash screen, so without this an offline render would start from however long that was up.
+const resetAnimationState = () => {
+    time = 0;
+    fairyOrbitTime = 0;
+    trafficRandom = seededRandom('traffic');
+    fairyRandom = seededRandom('fairies');
+    
+    if (streetElements.cars) {
+        streetElements.cars.forEach(car => disposeObject(car));
+        streetElements.cars = streetElements.startingCars.map(({ x, z, color, direction }) => createCar(x, z, color, direction));
+        streetElements.lastCarSpawnTime = 0;
+        streetElements.lastSpawnedLeft = undefined;
+    }
+    
+    if (streetElements.bus) {
+        streetElements.bus.position.copy(streetElements.bus.userData.startPosition);
+        streetElements.bus.userData.speed = 0.03;
+    }
+    
+    if (interiorElements.fairies) {
+        interiorElements.fairies.forEach(fairy => fairy.rotation.set(0, 0, 0));
+        if (interiorElements.fairiesGroup) interiorElements.fairiesGroup.rotation.y = 0;
+    }
+    
+    disposeAudioReactiveElements(scene);
+    createAudioElements(scene, seededRandom('particles'));
+    
+    postPipeline.clearFeedback(renderer);
+};
 
-    // 4. Prepare postMaterial for simple display pass (no new effects, just show postBufferA)
-    postMaterial.uniforms.tDiffuse.value = postBufferA.texture;
-    postMaterial.uniforms.u_applyEffects.value = false; // Turn off effects for final render to screen
+// While an offline render is running it drives renderFrame itself, one fixed step at a time
+let offlineRenderActive = false;
+
+// Keep the viewer's mouse, touch and OrbitControls damping out of an offline render. Turning
+// damping off for one update first lets any glide left over from a drag finish before frame 0.
+const setOfflineRenderActive = (active) => {
+    offlineRenderActive = active;
+    touchControls.setEnabled(!active);
+    controls.enabled = !active && document.pointerLockElement !== renderer.domElement;
+    controls.enableDamping = !active;
+    if (active) {
+        Object.keys(keyboard).forEach(key => { keyboard[key] = false; });
+        controls.update();
+    }
+};
 
-    // 5. Render postScene to screen
-    renderer.setRenderTarget(null);
-    renderer.render(postScene, postCamera);
+// Reports GPU memory counts in the debug overlay and flags ones that keep growing
+const memoryLeakCheck = createMemoryLeakCheck(renderer);
 
-    // 6. Swap buffers for next frame (postBufferB will hold the latest trails for feedback)
-    let temp = postBufferA;
-    postBufferA = postBufferB;
-    postBufferB = temp;
+// Animation loop with time tracking for transitions
+let lastTime = 0;
+let animationFrame = null;
+const animate = (currentTime) => {
+    animationFrame = requestAnimationFrame(animate);
+    
+    // Calculate delta time for smooth transitions
+    const deltaTime = (currentTime - lastTime) / 1000; // convert to seconds
+    lastTime = currentTime;
+    
+    memoryLeakCheck.update(deltaTime);
+    if (offlineRenderActive) return;
+    performanceGovernor.update(deltaTime);
+    renderFrame(deltaTime);
 };
 
 animate(0); 
@@ -3247,14 +3680,14 @@ animate(0);
 // setupAudio(camera); // This initial call is now handled by the splash screen logic with a callback
 
 // Create the starry night sky with moon
-createNightSky(scene);
+createNightSky(scene, seededRandom('sky'));
 
 // Create skybox gradient
 const skybox = createSkybox(scene);
 
 // Create audio-reactive elements (moved here for pre-loading)
 console.log("main.js: Attempting to call createAudioElements(scene) during initial setup"); // DEBUG
-createAudioElements(scene); 
+createAudioElements(scene, seededRandom('particles')); 
 
 // Make the interior and street elements accessible to the test buttons
 if (typeof setSceneReference === 'function') {
@@ -3266,15 +3699,133 @@ if (typeof setSceneReference === 'function') {
     scene.userData.streetElements = streetElements;
 }
 
+// Stop rendering and free every GPU resource: each generated element group, whatever else
+// is still in the scene (ground plane, lights, doorway voids), the post-processing buffers
+// and the renderer itself
+const teardownScene = () => {
+    cancelAnimationFrame(animationFrame);
+    resetExplosionState(); // Its saved states point at the objects about to go
+    
+    disposeStreetScene();
+    disposeInteriorScene();
+    disposeAudioReactiveElements(scene);
+    disposeNightSky(scene);
+    disposeSkybox(scene);
+    disposeChildren(scene);
+    
+    postPipeline.dispose();
+    renderTarget.dispose();
+    controls.dispose();
+    renderer.dispose();
+};
+scene.userData.teardownScene = teardownScene;
+
+// Free the GPU memory when the page goes away for good (not when it is kept in the back/forward cache)
+window.addEventListener('pagehide', (event) => {
+    if (!event.persisted) teardownScene();
+});
+
+// Fill the splash screen title, subtitle and key/time details from a manifest entry
+const showSongOnSplash = (song) => {
+    if (!song) return;
+    
+    const title = document.querySelector('.splash-title');
+    const subtitle = document.querySelector('.splash-subtitle');
+    const details = document.querySelector('.song-meta-details');
+    
+    // The artist is the big title with the song under it; without an artist the song takes the title
+    if (title) title.textContent = (song.artist || song.title).toUpperCase();
+    if (subtitle) subtitle.textContent = song.artist ? song.title.toUpperCase() : '';
+    if (details) {
+        const parts = [];
+        if (song.key) parts.push(`KEY OF (${song.key})`);
+        if (song.duration) parts.push(`TIME: ${formatSongTime(song.duration)}`);
+        details.replaceChildren(...parts.map(text => {
+            const part = document.createElement('span');
+            part.textContent = text;
+            return part;
+        }));
+    }
+    
+    document.title = formatSongName(song);
+};
+
+// List the setlist on the splash screen so a starting song can be picked
+const renderSetlist = () => {
+    const list = document.getElementById('setlist');
+    const songs = getSetlist();
+    if (!list || songs.length < 2) return;
+    
+    list.innerHTML = '';
+    songs.forEach((song, index) => {
+        const item = document.createElement('li');
+        item.textContent = formatSongName(song);
+        item.addEventListener('click', () => {
+            selectSong(index);
+            showSongOnSplash(song);
+            list.querySelectorAll('li').forEach((li, i) => li.classList.toggle('selected', i === index));
+        });
+        if (song === getCurrentSong()) item.classList.add('selected');
+        list.appendChild(item);
+    });
+    list.style.display = 'block';
+};
+
 // Initialize splash screen and audio functionality after DOM is loaded
 document.addEventListener('DOMContentLoaded', () => {
     const splashScreen = document.getElementById('splash-screen');
     const playKaraokeButton = document.getElementById('play-karaoke-button');
 
     if (splashScreen && playKaraokeButton) {
+        // PLAY stays disabled until the song manifest has loaded
+        playKaraokeButton.disabled = true;
+        
+        loadSetlist('songs.json', () => {
+            renderSetlist();
+            showSongOnSplash(getCurrentSong());
+            playKaraokeButton.disabled = false;
+        }, (error) => {
+            console.error(error);
+            showErrorMessage(error.message);
+        });
+        
         playKaraokeButton.addEventListener('click', () => {
             splashScreen.style.display = 'none';
 
+            // ?render=... in the URL renders the song offline to frames instead of playing it
+            let offlineOptions = null;
+            try {
+                offlineOptions = parseOfflineRenderOptions(window.location.search);
+            } catch (error) {
+                showErrorMessage(`Invalid offline render settings: ${error.message}`);
+                return;
+            }
+            
+            if (offlineOptions) {
+                // The output folder has to be picked while we still have the click
+                openFrameOutput(offlineOptions.format).then(output => {
+                    setupAudio(camera, getCurrentSong(), () => {
+                        // Offline frames are always rendered at full quality, from the same starting state
+                        performanceGovernor.reset();
+                        setOfflineRenderActive(true);
+                        resetAnimationState();
+                        runOfflineRender(offlineOptions, output, {
+                            canvas: renderer.domElement,
+                            renderFrame,
+                            setOutputSize: (width, height) => setOutputSize(width, height, width === window.innerWidth && height === window.innerHeight)
+                        }).catch(error => {
+                            console.error('Offline render failed:', error);
+                        }).finally(() => {
+                            setOfflineRenderActive(false);
+                        });
+                    });
+                }).catch(error => {
+                    console.error('Offline render failed:', error);
+                    showErrorMessage(error.message);
+                });
+                return;
+            }
+            
             // Define what happens after audio is loaded
             const onAudioLoaded = () => {
                 console.log("Audio loaded, starting playback and initializing scene elements.");
@@ -3295,8 +3846,31 @@ document.addEventListener('DOMContentLoaded', () => {
                 }
             };
 
+            // When a song finishes, move on to the next one in the setlist
+            const onSongEnded = (song) => {
+                const nextSong = advanceSetlist();
+                if (nextSong) {
+                    console.log(`"${song.title}" finished, loading "${nextSong.title}"`);
+                    document.title = formatSongName(nextSong);
+                    loadSong(nextSong, startAudioFromSplash);
+                } else {
+                    console.log('Setlist finished');
+                }
+            };
+
             // Call setupAudio and pass the callback
-            setupAudio(camera, onAudioLoaded);
+            setupAudio(camera, getCurrentSong(), onAudioLoaded, onSongEnded);
+            
+            // Record the final composited canvas with the song and any mic vocals
+            createRecorderControls({
+                canvas: renderer.domElement,
+                getAudioNodes: () => [getSongOutput(), getMicrophoneSource()],
+                getFileName: () => {
+                    const song = getCurrentSong();
+                    const stamp = new Date().toISOString().slice(0, 19).replace(/[:T]/g, '-');
+                    return `${song ? song.id : 'karaoke'}-${stamp}.webm`;
+                }
+            });
 
         });
     } else {
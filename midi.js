@@ -0,0 +1,174 @@
+// midi.js - Loading of reference melodies from Standard MIDI Files
+
+import * as THREE from 'three';
+
+// Read a variable-length quantity, returning { value, offset } past its last byte
+const readVarLength = (bytes, offset) => {
+    let value = 0;
+    for (let i = 0; i < 4; i++) {
+        if (offset >= bytes.length) throw new Error('Unexpected end of file in a variable-length value');
+        const byte = bytes[offset++];
+        value = (value << 7) | (byte & 0x7f);
+        if (!(byte & 0x80)) return { value, offset };
+    }
+    throw new Error('Variable-length value is longer than 4 bytes');
+};
+
+// Read a four-character chunk id
+const readChunkId = (bytes, offset) => String.fromCharCode(...bytes.subarray(offset, offset + 4));
+
+// Parse one MTrk chunk into tempo changes and notes, both timed in ticks
+const parseTrack = (bytes, start, end, trackIndex) => {
+    const tempos = [];
+    const notes = [];
+    const openNotes = new Map(); // "channel:note" -> start tick
+    let offset = start;
+    let tick = 0;
+    let runningStatus = null;
+
+    while (offset < end) {
+        const delta = readVarLength(bytes, offset);
+        offset = delta.offset;
+        tick += delta.value;
+
+        let status = bytes[offset];
+        if (status & 0x80) {
+            offset++;
+        } else if (runningStatus !== null) {
+            status = runningStatus;
+        } else {
+            throw new Error(`Track ${trackIndex + 1}: data byte with no running status at byte ${offset}`);
+        }
+
+        if (status === 0xff) {
+            // Meta event - only tempo matters here
+            const type = bytes[offset++];
+            const length = readVarLength(bytes, offset);
+            offset = length.offset;
+            if (type === 0x51 && length.value === 3) {
+                const microsecondsPerQuarter = (bytes[offset] << 16) | (bytes[offset + 1] << 8) | bytes[offset + 2];
+                tempos.push({ tick, microsecondsPerQuarter });
+            }
+            offset += length.value;
+            runningStatus = null;
+        } else if (status === 0xf0 || status === 0xf7) {
+            // SysEx - skip it
+            const length = readVarLength(bytes, offset);
+            offset = length.offset + length.value;
+            runningStatus = null;
+        } else {
+            const type = status & 0xf0;
+            const channel = status & 0x0f;
+            const dataLength = (type === 0xc0 || type === 0xd0) ? 1 : 2;
+            const note = bytes[offset];
+            const velocity = bytes[offset + 1];
+            offset += dataLength;
+            runningStatus = status;
+
+            const key = `${channel}:${note}`;
+            if (type === 0x90 && velocity > 0) {
+                openNotes.set(key, tick);
+            } else if (type === 0x80 || type === 0x90) {
+                // Note off, or note on with zero velocity
+                if (openNotes.has(key)) {
+                    notes.push({ note, startTick: openNotes.get(key), endTick: tick });
+                    openNotes.delete(key);
+                }
+            }
+        }
+    }
+
+    return { tempos, notes };
+};
+
+// Parse a Standard MIDI File into a melody of { time, duration, note } notes in milliseconds.
+// Every note in the file is used, so the file should contain only the vocal line.
+const parseMIDI = (buffer) => {
+    const bytes = new Uint8Array(buffer);
+    const view = new DataView(buffer);
+
+    if (bytes.length < 14 || readChunkId(bytes, 0) !== 'MThd') {
+        throw new Error('Not a MIDI file (missing MThd header)');
+    }
+
+    const headerLength = view.getUint32(4);
+    const trackCount = view.getUint16(10);
+    const division = view.getUint16(12);
+    if (division & 0x8000) {
+        throw new Error('SMPTE time division is not supported');
+    }
+
+    const tempos = [];
+    const tickNotes = [];
+    let offset = 8 + headerLength;
+
+    for (let trackIndex = 0; trackIndex < trackCount; trackIndex++) {
+        if (offset + 8 > bytes.length) {
+            throw new Error(`File ends before track ${trackIndex + 1}`);
+        }
+        const length = view.getUint32(offset + 4);
+        if (readChunkId(bytes, offset) === 'MTrk') {
+            const track = parseTrack(bytes, offset + 8, Math.min(offset + 8 + length, bytes.length), trackIndex);
+            tempos.push(...track.tempos);
+            tickNotes.push(...track.notes);
+        }
+        offset += 8 + length;
+    }
+
+    if (tickNotes.length === 0) {
+        throw new Error('MIDI file contains no notes');
+    }
+
+    // Tempo map: 120 BPM until the first tempo event
+    tempos.sort((a, b) => a.tick - b.tick);
+    if (tempos.length === 0 || tempos[0].tick > 0) {
+        tempos.unshift({ tick: 0, microsecondsPerQuarter: 500000 });
+    }
+
+    // Convert a tick position to milliseconds by walking the tempo map
+    const tickToMilliseconds = (tick) => {
+        let ms = 0;
+        for (let i = 0; i < tempos.length; i++) {
+            const segmentStart = tempos[i].tick;
+            if (tick <= segmentStart) break;
+            const segmentEnd = i + 1 < tempos.length ? Math.min(tempos[i + 1].tick, tick) : tick;
+            ms += (segmentEnd - segmentStart) * tempos[i].microsecondsPerQuarter / division / 1000;
+        }
+        return ms;
+    };
+
+    return tickNotes
+        .map(({ note, startTick, endTick }) => {
+            const time = tickToMilliseconds(startTick);
+            return { time, duration: tickToMilliseconds(endTick) - time, note };
+        })
+        .sort((a, b) => a.time - b.time);
+};
+
+// Load and parse a melody .mid file, reporting fetch or parse problems through onError
+const loadMelody = (url, onLoad, onError) => {
+    const loader = new THREE.FileLoader();
+    loader.setResponseType('arraybuffer');
+
+    loader.load(
+        url,
+        function(buffer) {
+            let melody;
+            try {
+                melody = parseMIDI(buffer);
+            } catch (error) {
+                if (onError) onError(new Error(`Malformed melody file ${url}: ${error.message}`));
+                return;
+            }
+
+            console.log(`Melody loaded: ${melody.length} notes from ${url}`);
+            if (onLoad) onLoad(melody);
+        },
+        undefined,
+        function(error) {
+            if (onError) onError(new Error(`Could not load melody file ${url}`, { cause: error }));
+        }
+    );
+};
+
+export { parseMIDI, loadMelody };
@@ -1,13 +1,14 @@
 // nightsky.js - Night sky with stars and moon
 
 import * as THREE from 'three';
+import { disposeObject } from './disposal.js';
 
-// Create a starry night sky with a large yellow moon
-const createNightSky = (scene) => {
+// Create a starry night sky with a large yellow moon; random() (like Math.random) picks the phase and stars
+const createNightSky = (scene, random) => {
     // Generate a random moon phase (1-7, excluding New Moon)
     // 1: Waxing Crescent, 2: First Quarter, 3: Waxing Gibbous
     // 4: Full Moon, 5: Waning Gibbous, 6: Last Quarter, 7: Waning Crescent
-    const moonPhase = Math.floor(Math.random() * 7) + 1; // Now generates 1-7 instead of 0-7
+    const moonPhase = Math.floor(random() * 7) + 1; // Now generates 1-7 instead of 0-7
     console.log(`Moon phase: ${getMoonPhaseName(moonPhase)}`);
     
     // Create the moon based on phase
@@ -16,7 +17,7 @@ const createNightSky = (scene) => {
     // New moon is now removed from random selection
     if (moonPhase === 4) {
         // Full moon
-        moon = createFullMoon();
+        moon = createFullMoon(random);
         moonGlow = createMoonGlow(0.3);
     } else {
         // Partial moon phases
@@ -41,9 +42,9 @@ const createNightSky = (scene) => {
     // Distribute stars in the sky dome
     for (let i = 0; i < starCount; i++) {
         // Create a hemispherical distribution for stars
-        const theta = Math.random() * Math.PI * 2;
-        const phi = Math.random() * Math.PI * 0.65; // Limit to upper hemisphere
-        const radius = 90 + Math.random() * 10; // Distance from scene center
+        const theta = random() * Math.PI * 2;
+        const phi = random() * Math.PI * 0.65; // Limit to upper hemisphere
+        const radius = 90 + random() * 10; // Distance from scene center
         
         const x = radius * Math.sin(phi) * Math.cos(theta);
         const y = radius * Math.cos(phi) + 10; // Keep stars above horizon
@@ -54,7 +55,7 @@ const createNightSky = (scene) => {
         starsPositions[i * 3 + 2] = z;
         
         // Vary star sizes slightly
-        starsSizes[i] = 0.5 + Math.random() * 1.5;
+        starsSizes[i] = 0.5 + random() * 1.5;
     }
     
     starsGeometry.setAttribute('position', new THREE.BufferAttribute(starsPositions, 3));
@@ -147,7 +148,7 @@ const getMoonPhaseName = (phase) => {
 };
 
 // Create a full moon
-const createFullMoon = () => {
+const createFullMoon = (random) => {
     // Group to hold the moon elements
     const moonGroup = new THREE.Group();
     
@@ -197,15 +198,15 @@ const createFullMoon = () => {
     // Smallest detail craters
     for (let i = 0; i < 15; i++) {
         // Create random position on sphere
-        const phi = Math.random() * Math.PI * 2;
-        const theta = Math.random() * Math.PI;
+        const phi = random() * Math.PI * 2;
+        const theta = random() * Math.PI;
         const radius = 4.9; // Just below the surface
         
         const x = radius * Math.sin(theta) * Math.cos(phi);
         const y = radius * Math.sin(theta) * Math.sin(phi);
         const z = radius * Math.cos(theta);
         
-        addCrater(x, y, z, 0.1 + Math.random() * 0.3, 0xEEEAC0, 0.4 + Math.random() * 0.3);
+        addCrater(x, y, z, 0.1 + random() * 0.3, 0xEEEAC0, 0.4 + random() * 0.3);
     }
     
     return moonGroup;
@@ -339,4 +340,13 @@ const updateNightSky = (scene, time) => {
     }
 };
 
-export { createNightSky, updateNightSky }; 
\ No newline at end of file
+// Remove the moon, its glow and the stars and free their GPU resources
+const disposeNightSky = (scene) => {
+    if (!scene.userData.nightSky) return;
+    
+    const { moon, moonGlow, stars } = scene.userData.nightSky;
+    [moon, moonGlow, stars].forEach(disposeObject);
+    delete scene.userData.nightSky;
+};
+
+export { createNightSky, updateNightSky, disposeNightSky }; 
\ No newline at end of file
@@ -0,0 +1,335 @@
+// offline.js - Deterministic frame-by-frame render of the song to a PNG sequence or zip
+
+import { setManualPlaybackTime } from './clock.js';
+import { getSongBuffer, setOfflineAnalyserFrame } from './audio.js';
+import { getAnalyserSettings } from './spectrum.js';
+import { parseSongTime } from './setlist.js';
+
+// Zip entries are dated 1980-01-01, the earliest DOS date, so archives don't depend on when they were made
+const ZIP_DOS_DATE = (0 << 9) | (1 << 5) | 1;
+
+// Without zip64 records an archive holds at most 65,535 files and its offsets and sizes are 32-bit
+const ZIP_MAX_ENTRIES = 0xffff;
+const ZIP_MAX_BYTES = 0xffffffff;
+
+// A render=zip export is split into archives of about this size, each downloaded as soon as
+// it is full, so a long render neither passes the zip limits nor holds every frame in memory
+const ZIP_PART_BYTES = 1024 * 1024 * 1024;
+
+// Samples an OfflineAudioContext renders at a time; it can suspend only on these boundaries
+const RENDER_QUANTUM = 128;
+
+// CRC-32 lookup table for the zip writer
+const CRC_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+            c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+        }
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+const crc32 = (bytes) => {
+    let crc = 0xffffffff;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+};
+
+// Minimal zip writer - files are stored uncompressed, since PNGs are already compressed.
+// There are no zip64 records, so addFile throws rather than pass the zip limits; check
+// fits() first to start another archive instead.
+const createZipWriter = () => {
+    const parts = [];
+    const entries = [];
+    let offset = 0;
+    let directorySize = 0;
+
+    // The finished archive's size in bytes if it ended now
+    const getSize = () => offset + directorySize + 22;
+
+    // Whether a file of size bytes named name can still be added
+    const fits = (name, size) => {
+        const nameLength = new TextEncoder().encode(name).length;
+        return entries.length < ZIP_MAX_ENTRIES && getSize() + 30 + 46 + 2 * nameLength + size <= ZIP_MAX_BYTES;
+    };
+
+    const addFile = (name, data) => {
+        if (!fits(name, data.length)) {
+            throw new Error(`${name} doesn't fit in the zip archive, which holds at most ${ZIP_MAX_ENTRIES} files and 4 GB`);
+        }
+        const nameBytes = new TextEncoder().encode(name);
+        const crc = crc32(data);
+
+        const header = new DataView(new ArrayBuffer(30));
+        header.setUint32(0, 0x04034b50, true); // Local file header signature
+        header.setUint16(4, 20, true); // Version needed to extract
+        header.setUint16(8, 0, true); // Stored (no compression)
+        header.setUint16(12, ZIP_DOS_DATE, true);
+        header.setUint32(14, crc, true);
+        header.setUint32(18, data.length, true); // Compressed size
+        header.setUint32(22, data.length, true); // Uncompressed size
+        header.setUint16(26, nameBytes.length, true);
+
+        parts.push(header.buffer, nameBytes, data);
+        entries.push({ nameBytes, crc, size: data.length, offset });
+        offset += 30 + nameBytes.length + data.length;
+        directorySize += 46 + nameBytes.length;
+    };
+
+    // Append the central directory and return the finished archive
+    const finish = () => {
+        const directoryOffset = offset;
+
+        entries.forEach(entry => {
+            const record = new DataView(new ArrayBuffer(46));
+            record.setUint32(0, 0x02014b50, true); // Central directory signature
+            record.setUint16(4, 20, true); // Version made by
+            record.setUint16(6, 20, true); // Version needed to extract
+            record.setUint16(14, ZIP_DOS_DATE, true);
+            record.setUint32(16, entry.crc, true);
+            record.setUint32(20, entry.size, true);
+            record.setUint32(24, entry.size, true);
+            record.setUint16(28, entry.nameBytes.length, true);
+            record.setUint32(42, entry.offset, true);
+            parts.push(record.buffer, entry.nameBytes);
+        });
+
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, 0x06054b50, true); // End of central directory signature
+        end.setUint16(8, entries.length, true);
+        end.setUint16(10, entries.length, true);
+        end.setUint32(12, directorySize, true);
+        end.setUint32(16, directoryOffset, true);
+        parts.push(end.buffer);
+
+        return new Blob(parts, { type: 'application/zip' });
+    };
+
+    return { addFile, fits, getSize, getFileCount: () => entries.length, finish };
+};
+
+// Hand a finished file to the browser as a download
+const downloadBlob = (blob, filename) => {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
+
+// Run the song through an OfflineAudioContext and read the analyser at every frame time,
+// resolving to one Uint8Array of frequency data per frame
+const precomputeAnalyserFrames = (audioBuffer, { fps, startTime, frameCount, fftSize, smoothingTimeConstant }) => {
+    const endTime = startTime + frameCount / fps;
+    const length = Math.min(audioBuffer.length, Math.ceil(endTime * audioBuffer.sampleRate) + 1);
+    const offline = new OfflineAudioContext(audioBuffer.numberOfChannels, length, audioBuffer.sampleRate);
+
+    const source = offline.createBufferSource();
+    source.buffer = audioBuffer;
+    const analyser = offline.createAnalyser();
+    analyser.fftSize = fftSize;
+    analyser.smoothingTimeConstant = smoothingTimeConstant;
+    source.connect(analyser);
+    analyser.connect(offline.destination);
+    source.start();
+
+    // Suspend at each frame time, take a reading and carry on rendering. The context can only
+    // suspend once per render quantum, so frames that fall in the same quantum (at a high fps)
+    // share its reading.
+    const frames = [];
+    const lastQuantum = Math.floor((length - 1) / RENDER_QUANTUM);
+    let previousQuantum = -1;
+    for (let i = 0; i < frameCount; i++) {
+        const quantum = Math.ceil((startTime + i / fps) * audioBuffer.sampleRate / RENDER_QUANTUM);
+
+        // Frames past the end of the audio read silence
+        if (quantum > lastQuantum) {
+            frames.push(new Uint8Array(analyser.frequencyBinCount));
+            continue;
+        }
+        if (quantum === previousQuantum) {
+            frames.push(frames[i - 1]);
+            continue;
+        }
+        previousQuantum = quantum;
+
+        const frame = new Uint8Array(analyser.frequencyBinCount);
+        frames.push(frame);
+        const suspendTime = quantum * RENDER_QUANTUM / audioBuffer.sampleRate;
+        offline.suspend(suspendTime)
+            .then(() => {
+                analyser.getByteFrequencyData(frame);
+                return offline.resume();
+            })
+            .catch(error => {
+                console.warn(`No analyser reading at ${suspendTime.toFixed(3)}s, using silence:`, error);
+            });
+    }
+
+    return offline.startRendering().then(() => frames);
+};
+
+// Read offline render settings from the page URL, e.g.
+// ?render=zip&width=1920&height=1080&fps=30&start=1:00&end=1:30
+// Returns null when no render was asked for
+const parseOfflineRenderOptions = (search) => {
+    const params = new URLSearchParams(search);
+    const format = params.get('render');
+    if (!format) return null;
+    if (format !== 'png' && format !== 'zip') {
+        throw new Error(`render must be "png" or "zip", got "${format}"`);
+    }
+
+    const readNumber = (name, fallback) => {
+        if (!params.has(name)) return fallback;
+        const value = Number(params.get(name));
+        if (!isFinite(value) || value <= 0) {
+            throw new Error(`${name} must be a positive number, got "${params.get(name)}"`);
+        }
+        return value;
+    };
+
+    // Start/end accept seconds or "m:ss" like the song manifest
+    const readTime = (name) => {
+        if (!params.has(name)) return null;
+        const value = params.get(name);
+        return parseSongTime(/^[\d.]+$/.test(value) ? Number(value) : value, name);
+    };
+
+    return {
+        format,
+        width: Math.round(readNumber('width', window.innerWidth)),
+        height: Math.round(readNumber('height', window.innerHeight)),
+        fps: readNumber('fps', 30),
+        start: readTime('start') || 0,
+        end: readTime('end') // null means the end of the song
+    };
+};
+
+// Progress readout while rendering
+const createProgressOverlay = () => {
+    const overlay = document.createElement('div');
+    overlay.style.position = 'absolute';
+    overlay.style.top = '20px';
+    overlay.style.left = '50%';
+    overlay.style.transform = 'translateX(-50%)';
+    overlay.style.padding = '10px';
+    overlay.style.backgroundColor = 'rgba(0,0,0,0.7)';
+    overlay.style.color = '#fff';
+    overlay.style.fontFamily = 'monospace';
+    overlay.style.borderRadius = '5px';
+    overlay.style.zIndex = '1000';
+    document.body.appendChild(overlay);
+    return overlay;
+};
+
+// Open where the frames go: a folder picked by the user for "png", zips downloaded as
+// frames.zip, frames_2.zip, ... for "zip" (a new one whenever the last reaches ZIP_PART_BYTES).
+// Returns { writeFrame(name, blob) -> Promise, finish() }. Must be called from a user gesture.
+const openFrameOutput = (format) => {
+    if (format === 'zip') {
+        let zip = createZipWriter();
+        let partNumber = 1;
+        const downloadPart = () => downloadBlob(zip.finish(), partNumber === 1 ? 'frames.zip' : `frames_${partNumber}.zip`);
+
+        return Promise.resolve({
+            writeFrame: (name, blob) => blob.arrayBuffer().then(buffer => {
+                const data = new Uint8Array(buffer);
+                const full = zip.getSize() + data.length > ZIP_PART_BYTES || !zip.fits(name, data.length);
+                if (full && zip.getFileCount() > 0) {
+                    downloadPart();
+                    zip = createZipWriter();
+                    partNumber++;
+                }
+                zip.addFile(name, data);
+            }),
+            finish: downloadPart
+        });
+    }
+
+    if (!window.showDirectoryPicker) {
+        return Promise.reject(new Error('Saving a PNG sequence needs a browser with showDirectoryPicker; use render=zip instead'));
+    }
+    return window.showDirectoryPicker({ mode: 'readwrite' }).then(directory => ({
+        writeFrame: (name, blob) => directory.getFileHandle(name, { create: true })
+            .then(handle => handle.createWritable())
+            .then(writable => writable.write(blob).then(() => writable.close())),
+        finish: () => {}
+    }));
+};
+
+// Render frames start..end of the loaded song at a fixed timestep and save them as
+// frame_00000.png, frame_00001.png, ... The scene is driven by the fixed clock and
+// precomputed analyser frames, so the same settings always give the same frames.
+// output comes from openFrameOutput. view.renderFrame(deltaTime, timeStep) steps and draws
+// one frame, view.setOutputSize(w, h) resizes the render pipeline, view.canvas is the canvas
+// the display pass draws into.
+const runOfflineRender = (options, output, view) => {
+    const audioBuffer = getSongBuffer();
+    if (!audioBuffer) {
+        return Promise.reject(new Error('The song has not loaded yet'));
+    }
+
+    const songLength = audioBuffer.duration * 1000;
+    const end = Math.min(options.end === null ? songLength : options.end, songLength);
+    const frameCount = Math.max(1, Math.ceil((end - options.start) / 1000 * options.fps));
+    const deltaTime = 1 / options.fps;
+    const overlay = createProgressOverlay();
+
+    overlay.textContent = 'Analysing audio...';
+
+    return precomputeAnalyserFrames(audioBuffer, {
+        fps: options.fps,
+        startTime: options.start / 1000,
+        frameCount,
+        ...getAnalyserSettings()
+    })
+        .then(analyserFrames => {
+            view.setOutputSize(options.width, options.height);
+
+            // Render, capture and save one frame, then move on to the next
+            const renderNext = (frameIndex) => {
+                if (frameIndex >= frameCount) return Promise.resolve();
+
+                setManualPlaybackTime(options.start + frameIndex * 1000 / options.fps);
+                setOfflineAnalyserFrame(analyserFrames[frameIndex]);
+
+                // time-based animations advance 0.05 per frame live, which assumes about 60 fps
+                view.renderFrame(deltaTime, 0.05 * 60 / options.fps);
+
+                // toBlob has to be called before the browser presents (and clears) the canvas
+                return new Promise(resolve => view.canvas.toBlob(resolve, 'image/png'))
+                    .then(blob => output.writeFrame(`frame_${String(frameIndex).padStart(5, '0')}.png`, blob))
+                    .then(() => {
+                        overlay.textContent = `Rendering frame ${frameIndex + 1} / ${frameCount}`;
+                        return renderNext(frameIndex + 1);
+                    });
+            };
+
+            return renderNext(0);
+        })
+        .then(() => {
+            overlay.textContent = `Rendered ${frameCount} frames`;
+            output.finish();
+        })
+        .catch(error => {
+            overlay.textContent = `Offline render failed: ${error.message}`;
+            overlay.style.color = 'red';
+            throw error;
+        })
+        .finally(() => {
+            setManualPlaybackTime(null);
+            setOfflineAnalyserFrame(null);
+            view.setOutputSize(window.innerWidth, window.innerHeight);
+        });
+};
+
+export { parseOfflineRenderOptions, openFrameOutput, runOfflineRender, precomputeAnalyserFrames, createZipWriter };
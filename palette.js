@@ -0,0 +1,262 @@
+// palette.js - Retro palette quantization pass with ordered dithering
+
+import * as THREE from 'three';
+import { createShaderPass } from './postprocessing.js';
+import { createRandom } from './random.js';
+
+const MAX_PALETTE_COLORS = 64;
+
+// Palettes as 0xRRGGBB colors, compared against the final display values
+const PALETTES = {
+    // NES 2C02, with the repeated blacks removed
+    nes: [
+        0x7c7c7c, 0x0000fc, 0x0000bc, 0x4428bc, 0x940084, 0xa80020, 0xa81000, 0x881400,
+        0x503000, 0x007800, 0x006800, 0x005800, 0x004058, 0x000000, 0xbcbcbc, 0x0078f8,
+        0x0058f8, 0x6844fc, 0xd800cc, 0xe40058, 0xf83800, 0xe45c10, 0xac7c00, 0x00b800,
+        0x00a800, 0x00a844, 0x008888, 0xf8f8f8, 0x3cbcfc, 0x6888fc, 0x9878f8, 0xf878f8,
+        0xf85898, 0xf87858, 0xfca044, 0xf8b800, 0xb8f818, 0x58d854, 0x58f898, 0x00e8d8,
+        0x787878, 0xfcfcfc, 0xa4e4fc, 0xb8b8f8, 0xd8b8f8, 0xf8b8f8, 0xf8a4c0, 0xf0d0b0,
+        0xfce0a8, 0xf8d878, 0xd8f878, 0xb8f8b8, 0xb8f8d8, 0x00fcfc, 0xf8d8f8
+    ],
+    // Commodore 64 (Pepto)
+    c64: [
+        0x000000, 0xffffff, 0x68372b, 0x70a4b2, 0x6f3d86, 0x588d43, 0x352879, 0xb8c76f,
+        0x6f4f25, 0x433900, 0x9a6759, 0x444444, 0x6c6c6c, 0x9ad284, 0x6c5eb5, 0x959595
+    ],
+    // CGA mode 4, palette 1 high intensity
+    cga: [0x000000, 0x55ffff, 0xff55ff, 0xffffff],
+    // Original Game Boy greens
+    gameboy: [0x0f380f, 0x306230, 0x8bac0f, 0x9bbc0f],
+    // Any 16 colors; Sweetie 16 until a cue or setPalette supplies others
+    custom16: [
+        0x1a1c2c, 0x5d275d, 0xb13e53, 0xef7d57, 0xffcd75, 0xa7f070, 0x38b764, 0x257179,
+        0x29366f, 0x3b5dc9, 0x41a6f6, 0x73eff7, 0xf4f4f4, 0x94b0c2, 0x566c86, 0x333c57
+    ]
+};
+
+// 'off' disables the pass
+const PALETTE_NAMES = ['off', ...Object.keys(PALETTES)];
+const DITHER_MODES = ['bayer', 'bluenoise', 'none'];
+
+// Turn threshold ranks (0..size*size-1) into a repeating single-channel texture
+const createThresholdTexture = (ranks, size) => {
+    const data = new Uint8Array(size * size * 4);
+    ranks.forEach((rank, i) => {
+        const value = Math.floor((rank + 0.5) / ranks.length * 256);
+        data.set([value, value, value, 255], i * 4);
+    });
+    const texture = new THREE.DataTexture(data, size, size, THREE.RGBAFormat);
+    texture.wrapS = THREE.RepeatWrapping;
+    texture.wrapT = THREE.RepeatWrapping;
+    texture.magFilter = THREE.NearestFilter;
+    texture.minFilter = THREE.NearestFilter;
+    texture.needsUpdate = true;
+    return texture;
+};
+
+// 8x8 Bayer matrix: each level's bits interleave x^y and y, lowest coordinate bits first
+const createBayerRanks = () => {
+    const ranks = [];
+    for (let y = 0; y < 8; y++) {
+        for (let x = 0; x < 8; x++) {
+            let rank = 0;
+            for (let bit = 0; bit < 3; bit++) {
+                const shift = 2 * (2 - bit);
+                rank |= ((((x >> bit) ^ (y >> bit)) & 1) << (shift + 1)) | (((y >> bit) & 1) << shift);
+            }
+            ranks.push(rank);
+        }
+    }
+    return ranks;
+};
+
+// size x size blue noise ranks by void-and-cluster (Ulichney): repeatedly fill the
+// emptiest spot, measuring emptiness with a wrapping Gaussian around every filled pixel
+const createBlueNoiseRanks = (size = 32) => {
+    const count = size * size;
+    const sigma = 1.5;
+
+    // Gaussian weight for every wrapped offset
+    const kernel = new Float32Array(count);
+    for (let dy = 0; dy < size; dy++) {
+        for (let dx = 0; dx < size; dx++) {
+            const wx = Math.min(dx, size - dx);
+            const wy = Math.min(dy, size - dy);
+            kernel[dy * size + dx] = Math.exp(-(wx * wx + wy * wy) / (2 * sigma * sigma));
+        }
+    }
+
+    const filled = new Uint8Array(count);
+    const energy = new Float32Array(count);
+    const setPixel = (index, on) => {
+        filled[index] = on ? 1 : 0;
+        const px = index % size;
+        const py = Math.floor(index / size);
+        for (let y = 0; y < size; y++) {
+            const ky = ((y - py + size) % size) * size;
+            for (let x = 0; x < size; x++) {
+                energy[y * size + x] += (on ? 1 : -1) * kernel[ky + (x - px + size) % size];
+            }
+        }
+    };
+    // Filled pixel with the most filled neighbours, or empty pixel with the fewest
+    const findExtreme = (wantFilled) => {
+        let best = -1;
+        for (let i = 0; i < count; i++) {
+            if (filled[i] !== (wantFilled ? 1 : 0)) continue;
+            if (best === -1 || (wantFilled ? energy[i] > energy[best] : energy[i] < energy[best])) best = i;
+        }
+        return best;
+    };
+
+    // Start from a fixed random 10% and spread it out until it stops changing
+    const random = createRandom(0x5eed);
+    const initialCount = Math.floor(count / 10);
+    let placed = 0;
+    while (placed < initialCount) {
+        const index = Math.floor(random() * count);
+        if (!filled[index]) {
+            setPixel(index, true);
+            placed++;
+        }
+    }
+    for (let i = 0; i < count; i++) {
+        const cluster = findExtreme(true);
+        setPixel(cluster, false);
+        const voidIndex = findExtreme(false);
+        setPixel(voidIndex, true);
+        if (voidIndex === cluster) break;
+    }
+
+    const ranks = new Array(count);
+    const prototype = filled.slice();
+    const prototypeEnergy = energy.slice();
+
+    // Ranks below the initial pattern: take away the tightest clusters
+    for (let rank = initialCount - 1; rank >= 0; rank--) {
+        const cluster = findExtreme(true);
+        setPixel(cluster, false);
+        ranks[cluster] = rank;
+    }
+
+    // Ranks above it: fill the largest voids
+    filled.set(prototype);
+    energy.set(prototypeEnergy);
+    for (let rank = initialCount; rank < count; rank++) {
+        const voidIndex = findExtreme(false);
+        setPixel(voidIndex, true);
+        ranks[voidIndex] = rank;
+    }
+
+    return ranks;
+};
+
+// Dither patterns are built on first use
+const ditherTextures = {};
+const getDitherTexture = (mode) => {
+    if (!ditherTextures[mode]) {
+        ditherTextures[mode] = mode === 'bluenoise'
+            ? createThresholdTexture(createBlueNoiseRanks(32), 32)
+            : createThresholdTexture(createBayerRanks(), 8);
+    }
+    return ditherTextures[mode];
+};
+
+// Quantize to the nearest palette color after nudging each pixel by its dither threshold.
+// Add it at the end of the chain, after tone mapping, so it sees the final colors.
+const createPalettePass = () => {
+    const pass = createShaderPass({
+        name: 'palette',
+        enabled: false,
+        uniforms: {
+            tDitherPattern: { value: null },
+            ditherPatternSize: { value: 8 },
+            ditherSpread: { value: 0 },
+            ditherStrength: { value: 1 },
+            paletteColors: { value: Array.from({ length: MAX_PALETTE_COLORS }, () => new THREE.Vector3()) },
+            paletteSize: { value: 1 }
+        },
+        fragmentShader: `
+            uniform sampler2D tDiffuse;
+            uniform sampler2D tDitherPattern;
+            uniform float ditherPatternSize;
+            uniform float ditherSpread;         // Dither amplitude that suits the palette's spacing
+            uniform float ditherStrength;       // User scale on top of that, 0 for flat quantization
+            uniform vec3 paletteColors[${MAX_PALETTE_COLORS}];
+            uniform int paletteSize;
+
+            varying vec2 vUv;
+
+            void main() {
+                vec4 texel = texture2D(tDiffuse, vUv);
+
+                // Threshold for this screen pixel, tiled across the low-res buffer
+                float threshold = texture2D(tDitherPattern, gl_FragCoord.xy / ditherPatternSize).r;
+                vec3 color = clamp(texel.rgb + (threshold - 0.5) * ditherSpread * ditherStrength, 0.0, 1.0);
+
+                // Nearest palette color, with green weighted most like the eye does
+                vec3 best = paletteColors[0];
+                float bestDistance = 1e6;
+                for (int i = 0; i < ${MAX_PALETTE_COLORS}; i++) {
+                    if (i >= paletteSize) break;
+                    vec3 diff = color - paletteColors[i];
+                    float colorDistance = dot(diff * diff, vec3(0.299, 0.587, 0.114));
+                    if (colorDistance < bestDistance) {
+                        bestDistance = colorDistance;
+                        best = paletteColors[i];
+                    }
+                }
+
+                gl_FragColor = vec4(best, texel.a);
+            }
+        `
+    });
+
+    pass.paletteName = 'off';
+    pass.ditherMode = 'bayer';
+    setDither(pass, pass.ditherMode);
+    return pass;
+};
+
+// Switch the pass to a named palette ('off' disables it). colors (0xRRGGBB or '#rrggbb')
+// replaces the palette's colors, e.g. to define custom16.
+const setPalette = (pass, name, colors = null) => {
+    if (name !== 'off' && !PALETTES[name]) {
+        console.warn(`Unknown palette "${name}"`);
+        return;
+    }
+    pass.paletteName = name;
+    pass.enabled = name !== 'off';
+    if (name === 'off') return;
+
+    if (colors) {
+        PALETTES[name] = colors.slice(0, MAX_PALETTE_COLORS).map(color => new THREE.Color(color).getHex());
+    }
+    const palette = PALETTES[name];
+    palette.forEach((hex, i) => {
+        pass.uniforms.paletteColors.value[i].set(((hex >> 16) & 255) / 255, ((hex >> 8) & 255) / 255, (hex & 255) / 255);
+    });
+    pass.uniforms.paletteSize.value = palette.length;
+
+    // Fewer colors sit further apart and need a wider dither to blend between them
+    pass.uniforms.ditherSpread.value = pass.ditherMode === 'none' ? 0 : 0.5 / Math.cbrt(palette.length);
+};
+
+// Switch the dither pattern: 'bayer', 'bluenoise' or 'none'
+const setDither = (pass, mode) => {
+    if (!DITHER_MODES.includes(mode)) {
+        console.warn(`Unknown dither mode "${mode}"`);
+        return;
+    }
+    pass.ditherMode = mode;
+    const texture = getDitherTexture(mode === 'none' ? 'bayer' : mode);
+    pass.uniforms.tDitherPattern.value = texture;
+    pass.uniforms.ditherPatternSize.value = texture.image.width;
+    if (pass.paletteName !== 'off') setPalette(pass, pass.paletteName);
+};
+
+// Step to the next palette or dither mode in the list
+const cyclePalette = (pass) => setPalette(pass, PALETTE_NAMES[(PALETTE_NAMES.indexOf(pass.paletteName) + 1) % PALETTE_NAMES.length]);
+const cycleDither = (pass) => setDither(pass, DITHER_MODES[(DITHER_MODES.indexOf(pass.ditherMode) + 1) % DITHER_MODES.length]);
+
+export { PALETTES, PALETTE_NAMES, DITHER_MODES, createPalettePass, setPalette, setDither, cyclePalette, cycleDither };
@@ -0,0 +1,203 @@
+// physics.js - Lightweight rigid-body simulation for the explosion, and the spring that brings props back
+
+import * as THREE from 'three';
+
+const GRAVITY = -9.8;
+const RESTITUTION = 0.45; // Share of the speed kept when bouncing off a floor or wall
+const FLOOR_FRICTION = 0.12; // Share of the sliding speed lost per step on the floor
+const AIR_DRAG = 0.002; // Share of the speed lost per step in the air
+const SLEEP_SPEED = 0.05; // Below this (and resting on the floor) a body stops simulating
+const SLEEP_STEPS = 30; // Steps a body has to stay that slow before it sleeps
+
+// Scratch objects for stepping
+const spin = new THREE.Quaternion();
+const spinAxis = new THREE.Vector3();
+const childBox = new THREE.Box3();
+
+// The world bounds of an object and everything under it, from its geometry. Stand-ins for
+// instanced props have no geometry of their own, so their instance geometry is used.
+const computeWorldBounds = (object, box = new THREE.Box3()) => {
+    box.makeEmpty();
+    object.updateWorldMatrix(true, true);
+    object.traverse(child => {
+        const geometry = child.geometry || child.userData.instanceGeometry;
+        if (!geometry || child.isInstancedMesh) return;
+        if (!geometry.boundingBox) geometry.computeBoundingBox();
+        childBox.copy(geometry.boundingBox).applyMatrix4(child.matrixWorld);
+        box.union(childBox);
+    });
+    return box;
+};
+
+// The object's bounds around its position, at rest
+const computeRestBounds = (object) => {
+    const box = computeWorldBounds(object);
+    if (box.isEmpty()) box.setFromCenterAndSize(object.position, new THREE.Vector3(0.5, 0.5, 0.5));
+
+    return {
+        min: box.min.sub(object.position),
+        max: box.max.sub(object.position),
+        size: box.getSize(new THREE.Vector3())
+    };
+};
+
+// A body for an object whose parent sits at the world origin (a scene group), so its
+// position is its world position. Heavier (bigger) props are pushed less by the same force.
+// Collisions use the bounds at rest, ignoring the body's rotation; good enough for props.
+const createRigidBody = (object) => {
+    const bounds = computeRestBounds(object);
+    return {
+        object,
+        min: bounds.min,
+        max: bounds.max,
+        mass: Math.max(0.3, Math.cbrt(bounds.size.x * bounds.size.y * bounds.size.z)),
+        velocity: new THREE.Vector3(),
+        angularVelocity: new THREE.Vector3(), // Axis times radians per second
+        restingSteps: 0,
+        asleep: false
+    };
+};
+
+// Push a body away from center, fading out to nothing at radius. The jitter (from the
+// seeded random) keeps bodies at the same distance from flying in lockstep.
+const applyExplosionImpulse = (body, center, force, radius, random) => {
+    const bodyCenter = body.object.position.clone().addScaledVector(body.min.clone().add(body.max), 0.5);
+
+    const direction = bodyCenter.sub(center);
+    const distance = direction.length();
+    if (distance > radius) return false;
+
+    direction.normalize();
+    direction.x += (random() - 0.5) * 0.4;
+    direction.y += 0.4 + random() * 0.4; // Always some lift, so props leave the floor
+    direction.z += (random() - 0.5) * 0.4;
+    direction.normalize();
+
+    const strength = force * (1 - distance / radius) / body.mass;
+    body.velocity.addScaledVector(direction, strength);
+    body.angularVelocity.set(random() - 0.5, random() - 0.5, random() - 0.5).multiplyScalar(strength * 1.5);
+    body.asleep = false;
+    body.restingSteps = 0;
+    return true;
+};
+
+// Keep a body inside a room (bouncing off its walls, floor and ceiling) or, when it
+// started outside, out of it. Returns true if the body touched anything.
+const collideWithRoom = (body, room, inside) => {
+    const position = body.object.position;
+    let touched = false;
+
+    if (inside) {
+        ['x', 'y', 'z'].forEach(axis => {
+            // A prop longer than the room on this axis can't be kept inside; let it through
+            if (body.max[axis] - body.min[axis] >= room.max[axis] - room.min[axis]) return;
+            if (position[axis] + body.min[axis] < room.min[axis]) {
+                position[axis] = room.min[axis] - body.min[axis];
+                body.velocity[axis] = Math.abs(body.velocity[axis]) * RESTITUTION;
+                touched = true;
+            } else if (position[axis] + body.max[axis] > room.max[axis]) {
+                position[axis] = room.max[axis] - body.max[axis];
+                body.velocity[axis] = -Math.abs(body.velocity[axis]) * RESTITUTION;
+                touched = true;
+            }
+        });
+        return touched;
+    }
+
+    // Outside: push out through the side it went in least far
+    let shallowestAxis = null;
+    let shallowestDepth = Infinity;
+    let pushDirection = 0;
+    for (const axis of ['x', 'y', 'z']) {
+        const intoMin = position[axis] + body.max[axis] - room.min[axis];
+        const intoMax = room.max[axis] - (position[axis] + body.min[axis]);
+        if (intoMin <= 0 || intoMax <= 0) return false; // Not overlapping on this axis
+        if (intoMin < shallowestDepth) {
+            shallowestAxis = axis;
+            shallowestDepth = intoMin;
+            pushDirection = -1;
+        }
+        if (intoMax < shallowestDepth) {
+            shallowestAxis = axis;
+            shallowestDepth = intoMax;
+            pushDirection = 1;
+        }
+    }
+    position[shallowestAxis] += shallowestDepth * pushDirection;
+    body.velocity[shallowestAxis] = Math.abs(body.velocity[shallowestAxis]) * RESTITUTION * pushDirection;
+    return true;
+};
+
+// Advance every awake body by dt seconds: gravity, drag, spin, then collisions with the
+// floor height and the rooms (Box3s). Returns true while any body is still moving.
+const stepRigidBodies = (bodies, { floor = 0, rooms = [] }, dt) => {
+    let anyAwake = false;
+
+    bodies.forEach(body => {
+        if (body.asleep || !body.object.parent) return;
+        const { object, velocity, angularVelocity } = body;
+
+        // The first step decides which side of each room the body is on
+        if (body.rooms !== rooms) {
+            body.rooms = rooms;
+            body.roomSides = rooms.map(room => room.containsPoint(object.position));
+        }
+
+        velocity.y += GRAVITY * dt;
+        velocity.multiplyScalar(1 - AIR_DRAG);
+        object.position.addScaledVector(velocity, dt);
+
+        const angle = angularVelocity.length() * dt;
+        if (angle > 0) {
+            spin.setFromAxisAngle(spinAxis.copy(angularVelocity).normalize(), angle);
+            object.quaternion.premultiply(spin);
+        }
+
+        let touched = false;
+        rooms.forEach((room, index) => {
+            if (collideWithRoom(body, room, body.roomSides[index])) touched = true;
+        });
+
+        // The floor also stops sliding and spinning
+        let onFloor = false;
+        if (object.position.y + body.min.y <= floor) {
+            object.position.y = floor - body.min.y;
+            if (velocity.y < 0) velocity.y = -velocity.y * RESTITUTION;
+            if (velocity.y < 1) velocity.y = 0; // Too slow to bounce again
+            velocity.x *= 1 - FLOOR_FRICTION;
+            velocity.z *= 1 - FLOOR_FRICTION;
+            onFloor = true;
+        }
+        if (touched || onFloor) angularVelocity.multiplyScalar(0.9);
+
+        // Sleep once it has lain still on the floor for a while
+        const slow = velocity.length() < SLEEP_SPEED && angularVelocity.length() < SLEEP_SPEED;
+        body.restingSteps = onFloor && slow ? body.restingSteps + 1 : 0;
+        if (body.restingSteps >= SLEEP_STEPS) {
+            body.asleep = true;
+            velocity.set(0, 0, 0);
+            angularVelocity.set(0, 0, 0);
+        } else {
+            anyAwake = true;
+        }
+    });
+
+    return anyAwake;
+};
+
+// A damped spring pulled back to 0, evaluated in closed form so it gives the same answer
+// however playback got to time t (seconds). The damping is set so the spring has settled
+// to a thousandth of its start by duration, with a little overshoot on the way.
+const DAMPING_RATIO = 0.7;
+const springOffset = (start, startVelocity, t, duration) => {
+    if (duration <= 0 || t >= duration) return 0;
+    const frequency = 7 / (DAMPING_RATIO * duration);
+    const decay = DAMPING_RATIO * frequency;
+    const dampedFrequency = frequency * Math.sqrt(1 - DAMPING_RATIO * DAMPING_RATIO);
+    return Math.exp(-decay * t) * (
+        start * Math.cos(dampedFrequency * t) +
+        (startVelocity + decay * start) / dampedFrequency * Math.sin(dampedFrequency * t)
+    );
+};
+
+export { computeWorldBounds, createRigidBody, applyExplosionImpulse, stepRigidBodies, springOffset };
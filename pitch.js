@@ -0,0 +1,79 @@
+// pitch.js - Monophonic pitch detection (YIN) and pitch/note helpers
+
+// Quietest frame (RMS) that is still treated as singing rather than room noise
+const SILENCE_THRESHOLD = 0.01;
+
+// Detect the fundamental frequency of a block of time-domain samples using the YIN algorithm.
+// Returns { frequency, clarity } with clarity 0-1, or null for silence / unpitched sound.
+const detectPitch = (samples, sampleRate, { threshold = 0.15, minFrequency = 80, maxFrequency = 1000 } = {}) => {
+    // Skip silent frames
+    let sumSquares = 0;
+    for (let i = 0; i < samples.length; i++) {
+        sumSquares += samples[i] * samples[i];
+    }
+    if (Math.sqrt(sumSquares / samples.length) < SILENCE_THRESHOLD) return null;
+
+    const maxLag = Math.min(Math.floor(sampleRate / minFrequency), Math.floor(samples.length / 2));
+    const minLag = Math.max(2, Math.floor(sampleRate / maxFrequency));
+    const windowSize = samples.length - maxLag;
+
+    // Difference function: how unlike the signal is to itself shifted by each lag
+    const difference = new Float32Array(maxLag + 1);
+    for (let lag = 1; lag <= maxLag; lag++) {
+        let sum = 0;
+        for (let i = 0; i < windowSize; i++) {
+            const delta = samples[i] - samples[i + lag];
+            sum += delta * delta;
+        }
+        difference[lag] = sum;
+    }
+
+    // Cumulative mean normalized difference, so the threshold doesn't depend on loudness
+    const normalized = new Float32Array(maxLag + 1);
+    normalized[0] = 1;
+    let runningSum = 0;
+    for (let lag = 1; lag <= maxLag; lag++) {
+        runningSum += difference[lag];
+        normalized[lag] = runningSum > 0 ? difference[lag] * lag / runningSum : 1;
+    }
+
+    // First dip under the threshold, followed down to its local minimum
+    let bestLag = -1;
+    for (let lag = minLag; lag <= maxLag; lag++) {
+        if (normalized[lag] < threshold) {
+            while (lag + 1 <= maxLag && normalized[lag + 1] < normalized[lag]) lag++;
+            bestLag = lag;
+            break;
+        }
+    }
+    if (bestLag === -1) return null;
+
+    // Parabolic interpolation between neighbouring lags for sub-sample accuracy
+    let refinedLag = bestLag;
+    if (bestLag > 1 && bestLag < maxLag) {
+        const before = normalized[bestLag - 1];
+        const at = normalized[bestLag];
+        const after = normalized[bestLag + 1];
+        const curvature = before - 2 * at + after;
+        if (curvature !== 0) {
+            refinedLag = bestLag + (before - after) / (2 * curvature);
+        }
+    }
+
+    return {
+        frequency: sampleRate / refinedLag,
+        clarity: 1 - normalized[bestLag]
+    };
+};
+
+// Convert a frequency in Hz to a (fractional) MIDI note number
+const frequencyToMidi = (frequency) => 69 + 12 * Math.log2(frequency / 440);
+
+// Distance in cents from a sung note to a reference note, ignoring which octave it was sung in
+const centsOffPitch = (sungMidi, referenceMidi) => {
+    const semitones = sungMidi - referenceMidi;
+    const folded = semitones - 12 * Math.round(semitones / 12);
+    return folded * 100;
+};
+
+export { detectPitch, frequencyToMidi, centsOffPitch };
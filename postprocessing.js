@@ -0,0 +1,316 @@
+// postprocessing.js - Chain of full-screen shader passes with ping-pong feedback buffers
+
+import * as THREE from 'three';
+
+// Every shader pass draws the same full-screen quad
+const quadCamera = new THREE.OrthographicCamera(-1, 1, 1, -1, 0, 1);
+const quadScene = new THREE.Scene();
+const quad = new THREE.Mesh(new THREE.PlaneGeometry(2, 2), null);
+quadScene.add(quad);
+
+const quadVertexShader = `
+    varying vec2 vUv;
+
+    void main() {
+        vUv = uv;
+        gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+    }
+`;
+
+// Barrel distortion shared by the passes that follow the screen curvature
+const distortChunk = `
+    vec2 distort(vec2 uv, float strength) {
+        vec2 cc = uv - 0.5; // Center coordinates
+        float dist = dot(cc, cc) * strength;
+        return (uv + cc * dist);
+    }
+`;
+
+// Draw a material over the whole of a target (null is the screen)
+const renderQuad = (renderer, material, target) => {
+    quad.material = material;
+    renderer.setRenderTarget(target);
+    renderer.render(quadScene, quadCamera);
+};
+
+// Create a pass from a fragment shader. The shader reads the previous pass from
+// tDiffuse; a tFeedback uniform, if declared, gets last frame's final output and a
+// resolution uniform gets the buffer size. onResize(uniforms, width, height) lets a
+// pass keep size-dependent uniforms up to date.
+const createShaderPass = ({ name, fragmentShader, uniforms = {}, enabled = true, onResize = null }) => {
+    const material = new THREE.ShaderMaterial({
+        vertexShader: quadVertexShader,
+        fragmentShader,
+        uniforms: {
+            tDiffuse: { value: null },
+            ...uniforms
+        },
+        depthTest: false,
+        depthWrite: false
+    });
+
+    return {
+        name,
+        enabled,
+        uniforms: material.uniforms,
+        material,
+        render: (renderer, inputTexture, target, frame) => {
+            material.uniforms.tDiffuse.value = inputTexture;
+            if (material.uniforms.tFeedback) material.uniforms.tFeedback.value = frame.feedbackTexture;
+            renderQuad(renderer, material, target);
+        },
+        setSize: (width, height) => {
+            if (material.uniforms.resolution) material.uniforms.resolution.value.set(width, height);
+            if (onResize) onResize(material.uniforms, width, height);
+        },
+        dispose: () => material.dispose()
+    };
+};
+
+// Screen curvature; whatever falls outside the curved screen is black
+const createBarrelPass = () => createShaderPass({
+    name: 'barrel',
+    uniforms: {
+        barrelDistortion: { value: 0.15 } // Reduced from 0.15 for less blur
+    },
+    fragmentShader: `
+        uniform sampler2D tDiffuse;
+        uniform float barrelDistortion;     // For screen curvature
+
+        varying vec2 vUv;
+
+        ${distortChunk}
+
+        void main() {
+            vec2 distortedUv = distort(vUv, barrelDistortion);
+
+            vec4 texel = vec4(0.0);
+            // Only sample if UVs are within [0,1] range after distortion
+            if (distortedUv.x >= 0.0 && distortedUv.x <= 1.0 && distortedUv.y >= 0.0 && distortedUv.y <= 1.0) {
+                texel = texture2D(tDiffuse, distortedUv);
+            }
+            gl_FragColor = texel;
+        }
+    `
+});
+
+// Trails: blend in the previous frame's final output
+const createFeedbackPass = () => createShaderPass({
+    name: 'feedback',
+    uniforms: {
+        tFeedback: { value: null },
+        feedbackAmount: { value: 0.65 } // User adjusted value
+    },
+    fragmentShader: `
+        uniform sampler2D tDiffuse;
+        uniform sampler2D tFeedback;        // Previous frame's post-processed output
+        uniform float feedbackAmount;       // How much of the previous frame to blend
+
+        varying vec2 vUv;
+
+        void main() {
+            vec4 currentFrameTexel = texture2D(tDiffuse, vUv);
+            vec4 feedbackTexel = texture2D(tFeedback, vUv);
+
+            // Slightly dim the current frame before blending to compensate for brightness increase
+            vec3 dimmedCurrentFrame = currentFrameTexel.rgb * 0.92; // Dim factor (0.0 to 1.0)
+            // Blend the dimmed current frame with the faded feedback
+            vec3 blendedColor = dimmedCurrentFrame + feedbackTexel.rgb * feedbackAmount;
+
+            gl_FragColor = vec4(blendedColor, currentFrameTexel.a);
+        }
+    `
+});
+
+// CRT scanlines, bent by scanlineCurvature so they follow the barrel-distorted screen
+const createScanlinePass = () => createShaderPass({
+    name: 'scanlines',
+    uniforms: {
+        scanlineIntensity: { value: 0.03 }, // Reduced from 0.05
+        scanlineFrequency: { value: 1 },
+        scanlineCurvature: { value: 0.15 } // Match barrelDistortion
+    },
+    onResize: (uniforms, width, height) => {
+        uniforms.scanlineFrequency.value = height * 1.5;
+    },
+    fragmentShader: `
+        uniform sampler2D tDiffuse;
+        uniform float scanlineIntensity;
+        uniform float scanlineFrequency;
+        uniform float scanlineCurvature;
+
+        varying vec2 vUv;
+
+        ${distortChunk}
+
+        void main() {
+            vec4 texel = texture2D(tDiffuse, vUv);
+            float scanlineEffect = sin(distort(vUv, scanlineCurvature).y * scanlineFrequency) * scanlineIntensity;
+            gl_FragColor = vec4(texel.rgb - scanlineEffect, texel.a);
+        }
+    `
+});
+
+// Reinhard tone mapping to control brightness and glow
+const createToneMapPass = () => createShaderPass({
+    name: 'tonemap',
+    uniforms: {
+        toneMappingStrength: { value: 0.65 } // Default to 70% tone mapping strength
+    },
+    fragmentShader: `
+        uniform sampler2D tDiffuse;
+        uniform float toneMappingStrength;  // Strength of the tone mapping
+
+        varying vec2 vUv;
+
+        void main() {
+            vec4 texel = texture2D(tDiffuse, vUv);
+            vec3 reinhardMapped = texel.rgb / (texel.rgb + vec3(1.0));
+
+            // Blend between original (pre-tone mapping) and tone-mapped color
+            vec3 blendedToneMappedColor = mix(texel.rgb, reinhardMapped, toneMappingStrength);
+
+            // Clamp the final color to ensure it's within displayable range
+            gl_FragColor = vec4(clamp(blendedToneMappedColor, 0.0, 1.0), texel.a);
+        }
+    `
+});
+
+// Plain copy, used for the display pass and when every pass is disabled
+const createCopyPass = () => createShaderPass({
+    name: 'copy',
+    fragmentShader: `
+        uniform sampler2D tDiffuse;
+
+        varying vec2 vUv;
+
+        void main() {
+            gl_FragColor = texture2D(tDiffuse, vUv);
+        }
+    `
+});
+
+// Create the post-processing chain at a buffer size (the low-res render size).
+// passes run in array order, each reading the one before; the last enabled pass
+// writes into postBufferA, which is shown on screen and then swapped with
+// postBufferB to become next frame's feedback.
+const createPostPipeline = (width, height, passes = [createBarrelPass(), createFeedbackPass(), createScanlinePass(), createToneMapPass()]) => {
+    const bufferOptions = {
+        minFilter: THREE.LinearFilter,
+        magFilter: THREE.NearestFilter,
+        format: THREE.RGBAFormat
+    };
+
+    // Create ping-pong render targets for feedback post-processing
+    let postBufferA = new THREE.WebGLRenderTarget(width, height, bufferOptions);
+    let postBufferB = new THREE.WebGLRenderTarget(width, height, bufferOptions);
+
+    // Scratch buffers between passes; half float so colors above 1.0 reach the tone mapping intact
+    let scratchA = new THREE.WebGLRenderTarget(width, height, { ...bufferOptions, type: THREE.HalfFloatType });
+    let scratchB = new THREE.WebGLRenderTarget(width, height, { ...bufferOptions, type: THREE.HalfFloatType });
+
+    const copyPass = createCopyPass();
+    let size = { width, height };
+
+    const getPass = (name) => passes.find(pass => pass.name === name) || null;
+
+    // Insert a pass, by default at the end of the chain
+    const addPass = (pass, index = passes.length) => {
+        if (pass.setSize) pass.setSize(size.width, size.height);
+        passes.splice(index, 0, pass);
+        return pass;
+    };
+
+    const removePass = (name) => {
+        const pass = getPass(name);
+        if (pass) passes.splice(passes.indexOf(pass), 1);
+        return pass;
+    };
+
+    const setPassEnabled = (name, enabled) => {
+        const pass = getPass(name);
+        if (pass) pass.enabled = enabled;
+    };
+
+    // Move a pass to a new position in the chain
+    const movePass = (name, index) => {
+        const pass = removePass(name);
+        if (pass) passes.splice(Math.max(0, Math.min(index, passes.length)), 0, pass);
+    };
+
+    // Run exactly the named passes in the given order; the rest stay in the chain, disabled, after them
+    const setPassOrder = (names) => {
+        const listed = names.map(getPass).filter(pass => pass !== null);
+        const others = passes.filter(pass => !listed.includes(pass));
+        listed.forEach(pass => { pass.enabled = true; });
+        others.forEach(pass => { pass.enabled = false; });
+        passes.splice(0, passes.length, ...listed, ...others);
+    };
+
+    const setSize = (newWidth, newHeight) => {
+        size = { width: newWidth, height: newHeight };
+        [postBufferA, postBufferB, scratchA, scratchB].forEach(target => target.setSize(newWidth, newHeight));
+        passes.forEach(pass => {
+            if (pass.setSize) pass.setSize(newWidth, newHeight);
+        });
+        copyPass.setSize(newWidth, newHeight);
+    };
+
+    // Run the chain on inputTexture and draw the result to the screen
+    const render = (renderer, inputTexture) => {
+        const frame = { feedbackTexture: postBufferB.texture, width: size.width, height: size.height };
+        const enabledPasses = passes.filter(pass => pass.enabled);
+
+        // 1. Effects, ping-ponging between the scratch buffers, the last one into postBufferA
+        let readTexture = inputTexture;
+        if (enabledPasses.length === 0) {
+            copyPass.render(renderer, readTexture, postBufferA, frame);
+        }
+        enabledPasses.forEach((pass, index) => {
+            const target = index === enabledPasses.length - 1 ? postBufferA : scratchA;
+            pass.render(renderer, readTexture, target, frame);
+            if (target === scratchA) {
+                readTexture = scratchA.texture;
+                [scratchA, scratchB] = [scratchB, scratchA];
+            }
+        });
+
+        // 2. Display pass: just show postBufferA
+        copyPass.render(renderer, postBufferA.texture, null, frame);
+
+        // 3. Swap buffers for next frame (postBufferB will hold the latest output for feedback)
+        [postBufferA, postBufferB] = [postBufferB, postBufferA];
+    };
+
+    // Forget the previous frames, so the feedback trails start from black
+    const clearFeedback = (renderer) => {
+        const previousTarget = renderer.getRenderTarget();
+        [postBufferA, postBufferB].forEach(target => {
+            renderer.setRenderTarget(target);
+            renderer.clear();
+        });
+        renderer.setRenderTarget(previousTarget);
+    };
+
+    passes.forEach(pass => {
+        if (pass.setSize) pass.setSize(width, height);
+    });
+    copyPass.setSize(width, height);
+
+    // Free the buffers and every pass's shaders
+    const dispose = () => {
+        [postBufferA, postBufferB, scratchA, scratchB].forEach(target => target.dispose());
+        [...passes, copyPass].forEach(pass => pass.dispose());
+    };
+
+    return { passes, getPass, addPass, removePass, setPassEnabled, movePass, setPassOrder, setSize, render, clearFeedback, dispose };
+};
+
+export {
+    createPostPipeline,
+    createShaderPass,
+    createBarrelPass,
+    createFeedbackPass,
+    createScanlinePass,
+    createToneMapPass
+};
@@ -0,0 +1,266 @@
+// rails.js - Camera rails: spline paths with look-at targets, easing and per-keyframe field of view, and the director that plays them
+
+import * as THREE from 'three';
+import { getPlaybackTime } from './clock.js';
+
+const RETURN_BLEND_TIME = 1000; // ms of song time to ease from wherever the viewer left the camera back onto the rail
+
+// Progress curves a rail can be played with
+const EASINGS = {
+    linear: (t) => t,
+    easeIn: (t) => t * t,
+    easeOut: (t) => t * (2 - t),
+    easeInOut: (t) => t * t * (3 - 2 * t)
+};
+
+// Named rails from the song manifest
+let rails = new Map();
+
+// Director state: the rail and camera cues playing now, and whether the viewer has taken over
+const directingCues = new Set();
+let viewerInControl = false;
+let returnBlend = null; // After a return: { pending } until the next directed frame, then { from, startTime }
+let baseFov = null; // The camera's field of view before the rails changed it
+let directorButton = null;
+let directedCamera = null; // The camera the cues are moving
+
+const toVector = (value, name) => {
+    if (!Array.isArray(value) || value.length !== 3 || !value.every(Number.isFinite)) {
+        throw new Error(`${name} must be [x, y, z], got ${JSON.stringify(value)}`);
+    }
+    return new THREE.Vector3(...value);
+};
+
+// Each keyframe's field of view; keyframes without one blend between their neighbours that have one.
+// Null when no keyframe sets it, which leaves the camera's field of view alone.
+const fillFovs = (keyframes) => {
+    const known = keyframes.map((keyframe, index) => ({ index, fov: keyframe.fov })).filter(({ fov }) => fov !== undefined);
+    if (known.length === 0) return null;
+    return keyframes.map((keyframe, index) => {
+        const after = known.find(entry => entry.index >= index) || known[known.length - 1];
+        const before = known.slice().reverse().find(entry => entry.index <= index) || known[0];
+        if (after.index === before.index) return before.fov;
+        return THREE.MathUtils.lerp(before.fov, after.fov, (index - before.index) / (after.index - before.index));
+    });
+};
+
+// Build a rail from its definition:
+//   keyframes - at least two of { position: [x, y, z], target: [x, y, z], fov, at }. at (0-1)
+//               is how far through the eased progress the camera passes the keyframe; by
+//               default they are evenly spaced
+//   easing    - 'linear', 'easeIn', 'easeOut' or 'easeInOut' (default), applied to the whole
+//               rail so it starts and stops smoothly however many keyframes it has
+//   closed    - loop back to the first keyframe at the end, e.g. for an orbit
+// The camera follows a smooth curve through the positions while looking at a point that
+// follows a curve through the targets. label names the rail in error messages.
+const createRail = (definition, label = 'Rail') => {
+    const keyframes = definition && definition.keyframes;
+    if (!Array.isArray(keyframes) || keyframes.length < 2) {
+        throw new Error(`${label} needs at least two keyframes`);
+    }
+    const easingName = definition.easing || 'easeInOut';
+    const easing = EASINGS[easingName];
+    if (!easing) {
+        throw new Error(`${label} easing must be one of ${Object.keys(EASINGS).join(', ')}, got "${easingName}"`);
+    }
+
+    const closed = Boolean(definition.closed);
+    const positions = keyframes.map((keyframe, i) => toVector(keyframe.position, `${label} keyframe ${i + 1} position`));
+    const targets = keyframes.map((keyframe, i) => toVector(keyframe.target, `${label} keyframe ${i + 1} target`));
+    keyframes.forEach((keyframe, i) => {
+        if (keyframe.fov !== undefined && !(keyframe.fov > 0 && keyframe.fov < 180)) {
+            throw new Error(`${label} keyframe ${i + 1} fov must be between 0 and 180 degrees`);
+        }
+    });
+    const fovs = fillFovs(keyframes);
+
+    // When the camera passes each keyframe; a closed rail ends back at the first one
+    const segmentCount = closed ? keyframes.length : keyframes.length - 1;
+    const times = keyframes.map((keyframe, i) => keyframe.at !== undefined ? keyframe.at : i / segmentCount);
+    if (closed) times.push(1);
+    times.forEach((time, i) => {
+        if (!(time >= 0 && time <= 1) || (i > 0 && time < times[i - 1])) {
+            throw new Error(`${label} keyframe times (at) must rise from 0 to 1`);
+        }
+    });
+
+    const positionCurve = new THREE.CatmullRomCurve3(positions, closed, 'centripetal');
+    const targetCurve = new THREE.CatmullRomCurve3(targets, closed, 'centripetal');
+    const pose = { position: new THREE.Vector3(), target: new THREE.Vector3(), fov: null };
+
+    // The camera pose at progress (0-1) along the rail; the returned object is reused
+    const getPose = (progress) => {
+        const time = easing(THREE.MathUtils.clamp(progress, 0, 1));
+
+        // The keyframes either side of this time, and how far between them it is
+        let segment = 0;
+        while (segment < segmentCount - 1 && time >= times[segment + 1]) segment++;
+        const span = times[segment + 1] - times[segment];
+        const along = span > 0 ? THREE.MathUtils.clamp((time - times[segment]) / span, 0, 1) : 1;
+
+        // The curves pass keyframe i at i / segmentCount
+        const curvePosition = (segment + along) / segmentCount;
+        positionCurve.getPoint(curvePosition, pose.position);
+        targetCurve.getPoint(curvePosition, pose.target);
+        pose.fov = fovs ? THREE.MathUtils.lerp(fovs[segment], fovs[(segment + 1) % fovs.length], along) : null;
+        return pose;
+    };
+
+    return { getPose, closed };
+};
+
+// Replace the named rails with { name: definition }; throws if any is malformed
+const setRails = (definitions = {}) => {
+    if (typeof definitions !== 'object' || definitions === null || Array.isArray(definitions)) {
+        throw new Error('"rails" must be an object of named rails');
+    }
+    rails = new Map(Object.entries(definitions).map(([name, definition]) => [name, createRail(definition, `Rail "${name}"`)]));
+};
+
+const getRail = (name) => rails.get(name) || null;
+
+const showDirectorButton = () => {
+    if (directorButton) directorButton.style.display = viewerInControl ? 'block' : 'none';
+};
+
+// A cue (key) starts or stops moving the camera
+const startDirecting = (key, camera) => {
+    directedCamera = camera;
+    if (directingCues.size === 0 && !viewerInControl) baseFov = camera.fov;
+    directingCues.add(key);
+};
+
+// When the last one stops, the camera is the viewer's again: a takeover ends with nothing
+// left to return to, and the director's field of view is undone
+const stopDirecting = (key, camera) => {
+    directingCues.delete(key);
+    if (directingCues.size > 0) return;
+    if (baseFov !== null && !viewerInControl) {
+        camera.fov = baseFov;
+        camera.updateProjectionMatrix();
+    }
+    baseFov = null;
+    viewerInControl = false;
+    returnBlend = null;
+    showDirectorButton();
+};
+
+const isDirecting = () => directingCues.size > 0;
+
+// The viewer moved the camera; while a rail or camera cue is playing they take it over
+// until they press "Return to director", and the field of view goes back to normal
+const takeCameraControl = (camera) => {
+    if (!isDirecting() || viewerInControl) return;
+    viewerInControl = true;
+    returnBlend = null;
+    if (baseFov !== null) {
+        camera.fov = baseFov;
+        camera.updateProjectionMatrix();
+        baseFov = null;
+    }
+    showDirectorButton();
+};
+
+// Hand the camera back; it eases onto the rail from wherever the viewer left it
+const returnToDirector = (camera) => {
+    if (!viewerInControl) return;
+    viewerInControl = false;
+    returnBlend = { pending: true };
+    if (isDirecting()) baseFov = camera.fov;
+    showDirectorButton();
+};
+
+// Hand the camera straight back without easing, e.g. when the song is seeked or changed
+const resetDirector = () => {
+    if (!viewerInControl) return;
+    viewerInControl = false;
+    returnBlend = null;
+    if (isDirecting()) baseFov = directedCamera.fov;
+    showDirectorButton();
+};
+
+const isViewerInControl = () => viewerInControl;
+
+// Put the camera (and the OrbitControls target) at pose, unless the viewer has taken over
+const directCamera = (camera, controls, pose) => {
+    if (viewerInControl) return;
+
+    // Just after a return, ease from where the viewer left the camera to the moving rail
+    // pose over RETURN_BLEND_TIME of playback
+    if (returnBlend && returnBlend.pending) {
+        returnBlend = {
+            from: { position: camera.position.clone(), target: controls.target.clone(), fov: camera.fov },
+            startTime: getPlaybackTime()
+        };
+    }
+    let blend = 1;
+    if (returnBlend) {
+        const elapsed = getPlaybackTime() - returnBlend.startTime;
+        blend = THREE.MathUtils.smoothstep(elapsed / RETURN_BLEND_TIME, 0, 1);
+        // Done, or seeked back to before the return
+        if (elapsed >= RETURN_BLEND_TIME || elapsed < 0) {
+            blend = 1;
+        }
+    }
+
+    if (blend < 1) {
+        const { from } = returnBlend;
+        camera.position.lerpVectors(from.position, pose.position, blend);
+        controls.target.lerpVectors(from.target, pose.target, blend);
+        if (pose.fov !== null) {
+            camera.fov = THREE.MathUtils.lerp(from.fov, pose.fov, blend);
+            camera.updateProjectionMatrix();
+        }
+        return;
+    }
+
+    returnBlend = null;
+    camera.position.copy(pose.position);
+    controls.target.copy(pose.target);
+    if (pose.fov !== null) {
+        camera.fov = pose.fov;
+        camera.updateProjectionMatrix();
+    }
+};
+
+// The "Return to director" button, shown while the viewer has the camera. onReturn runs
+// before the camera is handed back, e.g. to leave walk mode.
+const createDirectorButton = (camera, onReturn = null) => {
+    if (directorButton) return;
+    directorButton = document.createElement('button');
+    directorButton.textContent = 'Return to director';
+    directorButton.style.position = 'absolute';
+    directorButton.style.bottom = '70px';
+    directorButton.style.left = '50%';
+    directorButton.style.transform = 'translateX(-50%)';
+    directorButton.style.padding = '6px 12px';
+    directorButton.style.backgroundColor = 'rgba(0,0,0,0.8)';
+    directorButton.style.color = '#0ff';
+    directorButton.style.border = '2px solid #0ff';
+    directorButton.style.borderRadius = '4px';
+    directorButton.style.fontFamily = 'monospace';
+    directorButton.style.cursor = 'pointer';
+    directorButton.style.zIndex = '1000';
+    directorButton.style.display = 'none';
+    directorButton.addEventListener('click', () => {
+        if (onReturn) onReturn();
+        returnToDirector(camera);
+    });
+    document.body.appendChild(directorButton);
+};
+
+export {
+    EASINGS,
+    createRail,
+    setRails,
+    getRail,
+    startDirecting,
+    stopDirecting,
+    isDirecting,
+    takeCameraControl,
+    returnToDirector,
+    resetDirector,
+    isViewerInControl,
+    directCamera,
+    createDirectorButton
+};
@@ -0,0 +1,39 @@
+// random.js - Seeded pseudo-random numbers so a scene layout can be reproduced
+
+// Turn any string into a 32-bit seed (FNV-1a)
+const hashSeed = (text) => {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+};
+
+// Create a random() function in the style of Math.random, returning numbers in [0, 1)
+// that follow the same sequence every time for the same seed (mulberry32)
+const createRandom = (seed) => {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+};
+
+// Derive an independent seed from a base seed and a label, e.g. one per explosion
+const deriveSeed = (seed, label) => hashSeed(`${seed}:${label}`);
+
+// Read the scene seed from ?seed= in the URL; numbers are used as-is, anything else is hashed.
+// Without one a fresh seed is picked, which the debug overlay shows so the layout can be shared.
+const readSceneSeed = (search) => {
+    const value = new URLSearchParams(search).get('seed');
+    if (value === null || value === '') {
+        return Math.floor(Math.random() * 4294967296);
+    }
+    return /^\d+$/.test(value) ? Number(value) >>> 0 : hashSeed(value);
+};
+
+export { createRandom, deriveSeed, readSceneSeed };
@@ -0,0 +1,206 @@
+// recorder.js - Record the composited canvas plus song and mic audio to a WebM download
+
+import * as THREE from 'three';
+import { isTypingInField } from './settings.js';
+
+const RECORDING_FRAME_RATE = 60;
+
+// Preferred WebM encodings, best first
+const MIME_TYPES = [
+    'video/webm;codecs=vp9,opus',
+    'video/webm;codecs=vp8,opus',
+    'video/webm'
+];
+
+// Options passed to createRecorderControls
+let recorderOptions = null;
+
+// State of the recording in progress
+let mediaRecorder = null;
+let recordedChunks = [];
+let audioDestination = null;
+let recordingMix = null; // Gain node the audio sources feed, owned by the recorder
+let connectedNodes = [];
+let recordingStartTime = 0;
+
+// Controls
+let recordButton = null;
+let recordIndicator = null;
+let indicatorTimeout = null;
+
+const isRecording = () => mediaRecorder !== null && mediaRecorder.state === 'recording';
+
+// Save the recorded chunks as a file download
+const downloadRecording = (mimeType) => {
+    const blob = new Blob(recordedChunks, { type: mimeType });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = recorderOptions.getFileName ? recorderOptions.getFileName() : 'karaoke.webm';
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+
+    // Give the download a moment to start before releasing the blob
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+    recordedChunks = [];
+};
+
+// Detach a source from the recording mix. A source that was already disconnected
+// elsewhere (the mic's disconnect() when it is turned off) throws, which is fine.
+const disconnectNode = (node) => {
+    try {
+        node.disconnect(recordingMix);
+    } catch (error) {
+        // Not connected any more
+    }
+};
+
+// Mix in the audio nodes that are available now and drop the ones that went away,
+// so turning the mic on or off mid-recording is picked up
+const syncAudioNodes = () => {
+    const nodes = recorderOptions.getAudioNodes().filter(Boolean);
+    connectedNodes.filter(node => !nodes.includes(node)).forEach(disconnectNode);
+    nodes.filter(node => !connectedNodes.includes(node)).forEach(node => node.connect(recordingMix));
+    connectedNodes = nodes;
+};
+
+// Start recording the canvas and the audio nodes
+const startRecording = () => {
+    if (isRecording()) return;
+    if (typeof MediaRecorder === 'undefined' || !recorderOptions.canvas.captureStream) {
+        throw new Error('Recording is not supported in this browser');
+    }
+
+    const mimeType = MIME_TYPES.find(type => MediaRecorder.isTypeSupported(type));
+    if (!mimeType) {
+        throw new Error('This browser cannot record WebM video');
+    }
+
+    // Mix the song (and the mic, while it is on) into one audio track alongside the canvas video
+    const context = THREE.AudioContext.getContext();
+    audioDestination = context.createMediaStreamDestination();
+    recordingMix = context.createGain();
+    recordingMix.connect(audioDestination);
+    connectedNodes = [];
+    syncAudioNodes();
+
+    const stream = new MediaStream([
+        ...recorderOptions.canvas.captureStream(RECORDING_FRAME_RATE).getVideoTracks(),
+        ...audioDestination.stream.getAudioTracks()
+    ]);
+
+    recordedChunks = [];
+    mediaRecorder = new MediaRecorder(stream, { mimeType });
+    mediaRecorder.ondataavailable = (event) => {
+        if (event.data.size > 0) recordedChunks.push(event.data);
+    };
+    mediaRecorder.onstop = () => {
+        stream.getTracks().forEach(track => track.stop());
+        downloadRecording(mimeType);
+    };
+    mediaRecorder.start(1000); // Collect data every second so long takes don't sit in one buffer
+
+    recordingStartTime = performance.now();
+    console.log(`Recording started (${mimeType})`);
+};
+
+// Stop recording; the file downloads once the recorder has flushed its data
+const stopRecording = () => {
+    if (!isRecording()) return;
+
+    mediaRecorder.stop();
+    connectedNodes.forEach(disconnectNode);
+    connectedNodes = [];
+    recordingMix.disconnect();
+    recordingMix = null;
+    audioDestination = null;
+    console.log('Recording stopped');
+};
+
+const toggleRecording = () => {
+    try {
+        if (isRecording()) {
+            stopRecording();
+        } else {
+            startRecording();
+        }
+    } catch (error) {
+        console.error('Error recording:', error);
+        recordIndicator.textContent = error.message;
+        recordIndicator.style.display = 'inline';
+        recordIndicator.style.visibility = 'visible';
+        return;
+    }
+    updateRecorderControls();
+};
+
+// Show the blinking REC indicator and elapsed time while recording
+const updateRecorderControls = () => {
+    clearTimeout(indicatorTimeout);
+
+    if (!isRecording()) {
+        recordButton.textContent = 'Rec';
+        recordIndicator.style.display = 'none';
+        return;
+    }
+    syncAudioNodes();
+
+    const elapsed = Math.floor((performance.now() - recordingStartTime) / 1000);
+    const minutes = Math.floor(elapsed / 60);
+    const seconds = (elapsed % 60).toString().padStart(2, '0');
+
+    recordButton.textContent = 'Stop rec';
+    recordIndicator.style.display = 'inline';
+    recordIndicator.textContent = `● REC ${minutes}:${seconds}`;
+    recordIndicator.style.visibility = elapsed % 2 === 0 ? 'visible' : 'hidden';
+
+    indicatorTimeout = setTimeout(updateRecorderControls, 250);
+};
+
+// Create the record button and indicator at the top of the page.
+// options.canvas is the canvas to capture, options.getAudioNodes() returns the
+// audio nodes to mix in, options.getFileName() names the download.
+const createRecorderControls = (options) => {
+    if (recordButton) return;
+    recorderOptions = options;
+
+    const controlsDiv = document.createElement('div');
+    controlsDiv.style.position = 'absolute';
+    controlsDiv.style.top = '20px';
+    controlsDiv.style.left = '50%';
+    controlsDiv.style.transform = 'translateX(-50%)';
+    controlsDiv.style.zIndex = '1000';
+    controlsDiv.style.fontFamily = 'monospace';
+
+    recordButton = document.createElement('button');
+    recordButton.textContent = 'Rec';
+    recordButton.style.padding = '6px 14px';
+    recordButton.style.backgroundColor = '#333';
+    recordButton.style.color = '#fff';
+    recordButton.style.border = '2px solid #666';
+    recordButton.style.cursor = 'pointer';
+    recordButton.style.fontFamily = 'monospace';
+    recordButton.style.borderRadius = '4px';
+    recordButton.style.boxShadow = '0 0 5px rgba(0,0,0,0.5)';
+    recordButton.style.marginRight = '10px';
+    recordButton.addEventListener('click', toggleRecording);
+
+    recordIndicator = document.createElement('span');
+    recordIndicator.style.display = 'none';
+    recordIndicator.style.color = '#ff0000';
+    recordIndicator.style.fontWeight = 'bold';
+    recordIndicator.style.textShadow = '0 0 3px black';
+
+    controlsDiv.appendChild(recordButton);
+    controlsDiv.appendChild(recordIndicator);
+    document.body.appendChild(controlsDiv);
+
+    // R starts and stops recording
+    document.addEventListener('keydown', (event) => {
+        if (isTypingInField(event)) return;
+        if (event.code === 'KeyR') toggleRecording();
+    });
+};
+
+export { createRecorderControls, startRecording, stopRecording };
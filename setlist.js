@@ -0,0 +1,145 @@
+// setlist.js - Song manifest loading and setlist state
+
+import * as THREE from 'three';
+import { createRail, setRails, getRail } from './rails.js';
+
+// Songs in play order, normalized from the manifest
+let setlist = [];
+let currentSongIndex = 0;
+
+// Parse a manifest time - seconds as a number or a "m:ss" / "m:ss.xx" string - into milliseconds
+const parseSongTime = (value, fieldName) => {
+    if (typeof value === 'number' && isFinite(value) && value >= 0) {
+        return Math.round(value * 1000);
+    }
+
+    if (typeof value === 'string') {
+        const match = /^(\d+):(\d{2})(\.\d+)?$/.exec(value.trim());
+        if (match) {
+            const seconds = parseInt(match[1], 10) * 60 + parseInt(match[2], 10) + parseFloat(match[3] || '0');
+            return Math.round(seconds * 1000);
+        }
+    }
+
+    throw new Error(`${fieldName} must be seconds or "m:ss", got ${JSON.stringify(value)}`);
+};
+
+// Format milliseconds as "m:ss" for display
+const formatSongTime = (ms) => {
+    const totalSeconds = Math.max(0, Math.floor(ms / 1000));
+    const minutes = Math.floor(totalSeconds / 60);
+    const seconds = totalSeconds % 60;
+    return `${minutes}:${seconds.toString().padStart(2, '0')}`;
+};
+
+// Validate a manifest entry and convert its times to milliseconds
+const normalizeSong = (entry, index) => {
+    const label = `Song ${index + 1}`;
+
+    if (!entry || typeof entry !== 'object') {
+        throw new Error(`${label} is not an object`);
+    }
+    if (typeof entry.audio !== 'string' || !entry.audio) {
+        throw new Error(`${label} is missing an "audio" URL`);
+    }
+    if (typeof entry.title !== 'string' || !entry.title) {
+        throw new Error(`${label} is missing a "title"`);
+    }
+
+    const cues = (entry.cues || []).map((cue, cueIndex) => {
+        const cueLabel = `${label} cue ${cueIndex + 1}`;
+        if (!cue || typeof cue.type !== 'string') {
+            throw new Error(`${cueLabel} is missing a "type"`);
+        }
+        // Rail cues name one of the manifest's rails or carry their own keyframes
+        if (cue.type === 'rail') {
+            const params = cue.params || {};
+            if (params.keyframes) {
+                createRail(params, cueLabel);
+            } else if (!getRail(params.rail)) {
+                throw new Error(`${cueLabel} names an unknown rail ${JSON.stringify(params.rail)}`);
+            }
+        }
+        return {
+            type: cue.type,
+            time: parseSongTime(cue.time, `${cueLabel} time`),
+            duration: cue.duration !== undefined ? parseSongTime(cue.duration, `${cueLabel} duration`) : 0,
+            params: cue.params || {}
+        };
+    });
+
+    return {
+        id: entry.id || `song-${index + 1}`,
+        title: entry.title,
+        artist: entry.artist || '',
+        audio: entry.audio,
+        lyrics: entry.lyrics || null,
+        melody: entry.melody || null,
+        key: entry.key || '',
+        duration: entry.duration !== undefined ? parseSongTime(entry.duration, `${label} duration`) : 0,
+        cues: cues.sort((a, b) => a.time - b.time)
+    };
+};
+
+// Load the song manifest and replace the current setlist with its entries
+const loadSetlist = (url, onLoad, onError) => {
+    const loader = new THREE.FileLoader();
+    loader.setResponseType('json');
+
+    loader.load(
+        url,
+        function(manifest) {
+            try {
+                if (!manifest || !Array.isArray(manifest.setlist) || manifest.setlist.length === 0) {
+                    throw new Error('"setlist" must be a non-empty array');
+                }
+                setRails(manifest.rails || {});
+                setlist = manifest.setlist.map(normalizeSong);
+                currentSongIndex = 0;
+            } catch (error) {
+                if (onError) onError(new Error(`Invalid song manifest ${url}: ${error.message}`));
+                return;
+            }
+
+            console.log(`Setlist loaded: ${setlist.length} song(s) from ${url}`);
+            if (onLoad) onLoad(setlist);
+        },
+        undefined,
+        function(error) {
+            if (onError) onError(new Error(`Could not load song manifest ${url}`, { cause: error }));
+        }
+    );
+};
+
+// Get the currently selected song entry
+const getCurrentSong = () => setlist[currentSongIndex] || null;
+
+// Select a song by its position in the setlist
+const selectSong = (index) => {
+    if (index < 0 || index >= setlist.length) return null;
+    currentSongIndex = index;
+    return setlist[currentSongIndex];
+};
+
+// Move on to the next song, or return null at the end of the setlist
+const advanceSetlist = () => {
+    if (currentSongIndex + 1 >= setlist.length) return null;
+    currentSongIndex++;
+    return setlist[currentSongIndex];
+};
+
+const getSetlist = () => setlist;
+
+// "Artist - Title" for the page title and the song picker; a song without an artist shows just its title
+const formatSongName = (song) => song.artist ? `${song.artist} - ${song.title}` : song.title;
+
+export {
+    loadSetlist,
+    getSetlist,
+    getCurrentSong,
+    selectSong,
+    advanceSetlist,
+    formatSongTime,
+    formatSongName,
+    parseSongTime
+};
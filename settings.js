@@ -0,0 +1,245 @@
+// settings.js - Live settings panel with presets saved to localStorage, toggled with the O key
+
+const PRESETS_STORAGE_KEY = 'karaoke-settings-presets';
+
+// Setting definitions: { key, label, min, max, step, defaultValue, apply(value) }
+let definitions = [];
+let values = {};
+
+// Panel elements
+let panel = null;
+let inputs = {};
+let presetSelect = null;
+
+// Read the saved presets ({ name: values }); a broken entry counts as none
+const loadPresets = () => {
+    try {
+        return JSON.parse(localStorage.getItem(PRESETS_STORAGE_KEY)) || {};
+    } catch (error) {
+        console.warn('Ignoring unreadable settings presets:', error);
+        return {};
+    }
+};
+
+// Save the presets and tell the user when storage is full or blocked; returns whether they were saved
+const savePresets = (presets) => {
+    try {
+        localStorage.setItem(PRESETS_STORAGE_KEY, JSON.stringify(presets));
+        return true;
+    } catch (error) {
+        console.error('Error saving settings presets:', error);
+        window.alert(`Could not save settings presets: ${error.message}`);
+        return false;
+    }
+};
+
+// Set one setting, clamped to its range, and apply it to the scene
+const setSetting = (key, value) => {
+    const definition = definitions.find(item => item.key === key);
+    const number = Number(value);
+    if (!definition || !isFinite(number)) return;
+
+    values[key] = Math.min(definition.max, Math.max(definition.min, number));
+    definition.apply(values[key]);
+
+    if (inputs[key]) {
+        inputs[key].range.value = values[key];
+        inputs[key].number.value = values[key];
+    }
+};
+
+// Apply a { key: value } object; unknown keys are ignored and missing ones left as they are
+const applySettings = (settings) => {
+    Object.entries(settings).forEach(([key, value]) => setSetting(key, value));
+};
+
+const getSettings = () => ({ ...values });
+
+const resetSettings = () => {
+    definitions.forEach(definition => setSetting(definition.key, definition.defaultValue));
+};
+
+const refreshPresetSelect = () => {
+    const presets = loadPresets();
+    presetSelect.innerHTML = '';
+    const placeholder = document.createElement('option');
+    placeholder.value = '';
+    placeholder.textContent = Object.keys(presets).length > 0 ? 'Load preset...' : 'No presets saved';
+    presetSelect.appendChild(placeholder);
+    Object.keys(presets).sort().forEach(name => {
+        const option = document.createElement('option');
+        option.value = name;
+        option.textContent = name;
+        presetSelect.appendChild(option);
+    });
+};
+
+// Download the current settings as a JSON file
+const exportSettings = () => {
+    const blob = new Blob([JSON.stringify(getSettings(), null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = 'karaoke-settings.json';
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
+
+// Apply settings from a JSON file picked by the user
+const importSettings = (file) => {
+    return file.text().then(text => {
+        const settings = JSON.parse(text);
+        if (typeof settings !== 'object' || settings === null || Array.isArray(settings)) {
+            throw new Error('Settings file must contain a JSON object');
+        }
+        applySettings(settings);
+    });
+};
+
+// Whether a key press is going into a text field, select or editable element, so hotkeys leave it alone
+const isTypingInField = (event) => {
+    const target = event.target;
+    return ['INPUT', 'SELECT', 'TEXTAREA'].includes(target.tagName) || Boolean(target.isContentEditable);
+};
+
+const createButton = (label, onClick) => {
+    const button = document.createElement('button');
+    button.textContent = label;
+    button.style.margin = '4px 4px 0 0';
+    button.style.padding = '4px 8px';
+    button.style.backgroundColor = '#333';
+    button.style.color = '#fff';
+    button.style.border = '2px solid #666';
+    button.style.cursor = 'pointer';
+    button.style.fontFamily = 'monospace';
+    button.style.borderRadius = '4px';
+    button.addEventListener('click', onClick);
+    return button;
+};
+
+// A slider and number box for one setting
+const createSettingRow = (definition) => {
+    const row = document.createElement('div');
+    row.style.marginBottom = '6px';
+
+    const label = document.createElement('div');
+    label.textContent = definition.label;
+
+    const range = document.createElement('input');
+    range.type = 'range';
+    const number = document.createElement('input');
+    number.type = 'number';
+    [range, number].forEach(input => {
+        input.min = definition.min;
+        input.max = definition.max;
+        input.step = definition.step;
+        input.value = values[definition.key];
+        input.addEventListener('input', () => setSetting(definition.key, input.value));
+    });
+    range.style.width = '150px';
+    range.style.verticalAlign = 'middle';
+    number.style.width = '60px';
+    number.style.marginLeft = '6px';
+    number.style.fontFamily = 'monospace';
+
+    row.appendChild(label);
+    row.appendChild(range);
+    row.appendChild(number);
+    inputs[definition.key] = { range, number };
+    return row;
+};
+
+// Create the panel for the given setting definitions. Each definition's apply(value) is
+// called whenever the value changes; values start at defaultValue.
+const createSettingsPanel = (settingDefinitions) => {
+    if (panel) return;
+    definitions = settingDefinitions;
+    definitions.forEach(definition => {
+        values[definition.key] = definition.defaultValue;
+    });
+
+    panel = document.createElement('div');
+    panel.style.position = 'absolute';
+    panel.style.top = '20px';
+    panel.style.left = '20px';
+    panel.style.padding = '10px';
+    panel.style.backgroundColor = 'rgba(0,0,0,0.8)';
+    panel.style.color = '#fff';
+    panel.style.fontFamily = 'monospace';
+    panel.style.fontSize = '12px';
+    panel.style.border = '2px solid #666';
+    panel.style.borderRadius = '5px';
+    panel.style.zIndex = '1001';
+    panel.style.display = 'none';
+
+    const title = document.createElement('div');
+    title.textContent = 'SETTINGS (O to close)';
+    title.style.marginBottom = '8px';
+    panel.appendChild(title);
+
+    definitions.forEach(definition => panel.appendChild(createSettingRow(definition)));
+
+    // Presets
+    presetSelect = document.createElement('select');
+    presetSelect.style.fontFamily = 'monospace';
+    presetSelect.style.marginTop = '6px';
+    presetSelect.addEventListener('change', () => {
+        const presets = loadPresets();
+        if (presets[presetSelect.value]) applySettings(presets[presetSelect.value]);
+    });
+    refreshPresetSelect();
+    panel.appendChild(presetSelect);
+    panel.appendChild(document.createElement('br'));
+
+    panel.appendChild(createButton('Save preset', () => {
+        const name = window.prompt('Preset name', presetSelect.value || '');
+        if (!name) return;
+        const presets = loadPresets();
+        presets[name] = getSettings();
+        if (!savePresets(presets)) return;
+        refreshPresetSelect();
+        presetSelect.value = name;
+    }));
+    panel.appendChild(createButton('Delete preset', () => {
+        if (!presetSelect.value) return;
+        const presets = loadPresets();
+        delete presets[presetSelect.value];
+        if (savePresets(presets)) refreshPresetSelect();
+    }));
+    panel.appendChild(document.createElement('br'));
+
+    // JSON import/export
+    const fileInput = document.createElement('input');
+    fileInput.type = 'file';
+    fileInput.accept = 'application/json,.json';
+    fileInput.style.display = 'none';
+    fileInput.addEventListener('change', () => {
+        if (!fileInput.files[0]) return;
+        importSettings(fileInput.files[0]).catch(error => {
+            console.error('Error importing settings:', error);
+            window.alert(`Could not import settings: ${error.message}`);
+        });
+        fileInput.value = '';
+    });
+    panel.appendChild(fileInput);
+    panel.appendChild(createButton('Export JSON', exportSettings));
+    panel.appendChild(createButton('Import JSON', () => fileInput.click()));
+    panel.appendChild(createButton('Reset to defaults', resetSettings));
+
+    // Typing into the panel shouldn't drive the camera or other hotkeys
+    panel.addEventListener('keydown', (event) => event.stopPropagation());
+
+    document.body.appendChild(panel);
+
+    // O shows and hides the panel
+    document.addEventListener('keydown', (event) => {
+        if (isTypingInField(event)) return;
+        if (event.code === 'KeyO') {
+            panel.style.display = panel.style.display === 'none' ? 'block' : 'none';
+        }
+    });
+};
+
+export { createSettingsPanel, setSetting, applySettings, getSettings, resetSettings, createButton, isTypingInField };
@@ -0,0 +1,343 @@
+// singing.js - Microphone input, scoring against a reference melody and the pitch-lane HUD
+
+import * as THREE from 'three';
+import { detectPitch, frequencyToMidi, centsOffPitch } from './pitch.js';
+import { getPlaybackTime, isPlaybackRunning } from './clock.js';
+import { isTypingInField } from './settings.js';
+
+const FRAME_SIZE = 2048; // Samples per pitch detection frame
+const MIN_CLARITY = 0.8; // Weaker detections are treated as not singing
+const HIT_TOLERANCE = 50; // Cents off the reference note that still counts as on pitch
+
+// Pitch lane window around the current song time (ms)
+const LANE_PAST = 2000;
+const LANE_FUTURE = 4000;
+
+// Reference melody of { time, duration, note } notes for the current song
+let melody = [];
+
+// Microphone graph, created when the singer turns the mic on
+let micStream = null;
+let micSource = null;
+let micAnalyser = null;
+let micSamples = null;
+let micRequest = null; // getUserMedia promise while the permission prompt is open
+
+// Running score and the recently sung pitches drawn in the lane
+let score = null;
+let sungTrail = []; // { time, midi, hit } with midi moved to the octave of the reference note
+let lastSingingTime = 0;
+
+// HUD elements
+let hudCanvas = null;
+let hudContext = null;
+let micButton = null;
+
+// Frame counters per reference note that make up a score
+const createSingingScore = () => ({ notes: new Map() });
+
+// A note counts as sung on pitch when more than half of its frames were
+const isNoteHit = (counts) => counts.hitFrames * 2 > counts.frames;
+
+// Score as a percentage of the reference notes scored so far that were sung on pitch
+const getScorePercent = (singingScore) => {
+    if (singingScore.notes.size === 0) return 0;
+    let hitNotes = 0;
+    singingScore.notes.forEach(counts => {
+        if (isNoteHit(counts)) hitNotes++;
+    });
+    return Math.round(100 * hitNotes / singingScore.notes.size);
+};
+
+// Forget the notes that have not finished by a song time, so they are scored again after a seek back
+const rebaseSingingScore = (singingScore, time) => {
+    singingScore.notes.forEach((counts, note) => {
+        if (note.time + note.duration > time) singingScore.notes.delete(note);
+    });
+};
+
+// Reference note sounding at a song time, or null between notes
+const findReferenceNote = (notes, time) => {
+    return notes.find(note => time >= note.time && time < note.time + note.duration) || null;
+};
+
+// Score one detected frame (sungMidi is null when nothing was sung) and return what to draw for it
+const scoreFrame = (singingScore, notes, time, sungMidi) => {
+    const reference = findReferenceNote(notes, time);
+    if (!reference) {
+        return sungMidi === null ? null : { time, midi: sungMidi, hit: false };
+    }
+
+    let counts = singingScore.notes.get(reference);
+    if (!counts) {
+        counts = { frames: 0, hitFrames: 0 };
+        singingScore.notes.set(reference, counts);
+    }
+    counts.frames++;
+    if (sungMidi === null) return null;
+
+    const cents = centsOffPitch(sungMidi, reference.note);
+    const hit = Math.abs(cents) <= HIT_TOLERANCE;
+    if (hit) counts.hitFrames++;
+
+    // Draw the pitch in the reference note's octave, however low or high it was sung
+    return { time, midi: reference.note + cents / 100, hit };
+};
+
+// Detect the sung pitch in a frame of samples as a MIDI note, or null
+const detectSungMidi = (samples, sampleRate) => {
+    const pitch = detectPitch(samples, sampleRate);
+    return pitch && pitch.clarity >= MIN_CLARITY ? frequencyToMidi(pitch.frequency) : null;
+};
+
+// Use a new reference melody, starting the score over
+const setSingingMelody = (notes) => {
+    melody = notes || [];
+    resetSingingScore();
+};
+
+// Start the score over, e.g. when a song restarts
+const resetSingingScore = () => {
+    score = createSingingScore();
+    sungTrail = [];
+    lastSingingTime = 0;
+};
+
+const isMicrophoneActive = () => micAnalyser !== null;
+
+// The live microphone node, for mixing vocals into a recording (null while the mic is off)
+const getMicrophoneSource = () => micSource;
+
+// Ask for the microphone and route it into an analyser (never to the speakers). Asking again
+// while the permission prompt is still open returns the same request; turning the mic off
+// meanwhile releases the stream as soon as it arrives.
+const enableMicrophone = () => {
+    if (isMicrophoneActive()) return Promise.resolve();
+    if (micRequest) return micRequest;
+    if (!navigator.mediaDevices || !navigator.mediaDevices.getUserMedia) {
+        return Promise.reject(new Error('Microphone input is not supported in this browser'));
+    }
+
+    const request = navigator.mediaDevices.getUserMedia({
+        audio: { echoCancellation: true, noiseSuppression: false, autoGainControl: false }
+    }).then(stream => {
+        if (micRequest !== request) {
+            stream.getTracks().forEach(track => track.stop());
+            return;
+        }
+
+        const context = THREE.AudioContext.getContext();
+        micStream = stream;
+        micSource = context.createMediaStreamSource(stream);
+        micAnalyser = context.createAnalyser();
+        micAnalyser.fftSize = FRAME_SIZE;
+        micSamples = new Float32Array(FRAME_SIZE);
+        micSource.connect(micAnalyser);
+
+        resetSingingScore();
+        console.log('Microphone enabled for singing');
+    }).finally(() => {
+        if (micRequest === request) micRequest = null;
+    });
+    micRequest = request;
+    return request;
+};
+
+// Release the microphone
+const disableMicrophone = () => {
+    micRequest = null;
+    if (micSource) micSource.disconnect();
+    if (micStream) micStream.getTracks().forEach(track => track.stop());
+    micStream = null;
+    micSource = null;
+    micAnalyser = null;
+    micSamples = null;
+};
+
+// Turn the microphone on or off from the HUD button or the M key
+const toggleMicrophone = () => {
+    if (isMicrophoneActive()) {
+        disableMicrophone();
+        updateMicButton();
+        return;
+    }
+
+    enableMicrophone().then(updateMicButton).catch(error => {
+        console.error('Error enabling microphone:', error);
+        micButton.textContent = 'Mic unavailable';
+    });
+};
+
+const updateMicButton = () => {
+    micButton.textContent = isMicrophoneActive() ? 'Stop singing' : 'Sing';
+    hudCanvas.style.display = isMicrophoneActive() ? 'block' : 'none';
+};
+
+// Draw the reference notes, the sung pitch trail and the score
+const drawPitchLane = (now) => {
+    const width = hudCanvas.width;
+    const height = hudCanvas.height;
+    const ctx = hudContext;
+
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+    ctx.fillRect(0, 0, width, height);
+
+    // Pitch range of the lane: the melody's range with some headroom
+    let lowNote = 48;
+    let highNote = 72;
+    if (melody.length > 0) {
+        lowNote = Math.min(...melody.map(note => note.note)) - 3;
+        highNote = Math.max(...melody.map(note => note.note)) + 3;
+    }
+    const noteHeight = height / (highNote - lowNote);
+    const toX = (time) => (time - (now - LANE_PAST)) / (LANE_PAST + LANE_FUTURE) * width;
+    const toY = (midi) => height - (midi - lowNote) / (highNote - lowNote) * height;
+
+    // Reference notes
+    const current = findReferenceNote(melody, now);
+    melody.forEach(note => {
+        if (note.time + note.duration < now - LANE_PAST || note.time > now + LANE_FUTURE) return;
+        ctx.fillStyle = note === current ? '#ff00ff' : '#33bbff';
+        ctx.fillRect(toX(note.time), toY(note.note) - noteHeight / 2, note.duration / (LANE_PAST + LANE_FUTURE) * width, noteHeight);
+    });
+
+    // Sung pitches
+    sungTrail.forEach(point => {
+        ctx.fillStyle = point.hit ? '#ffff00' : '#ff3377';
+        ctx.fillRect(toX(point.time) - 1, toY(point.midi) - 1, 3, 3);
+    });
+
+    // Now line
+    ctx.fillStyle = '#ffffff';
+    ctx.fillRect(toX(now), 0, 1, height);
+
+    ctx.font = '14px monospace';
+    ctx.fillStyle = '#ffffff';
+    ctx.fillText(melody.length > 0 ? `SCORE ${getScorePercent(score)}%` : 'NO MELODY', 6, 16);
+};
+
+// Per-frame mic analysis and HUD redraw
+const updateSinging = () => {
+    requestAnimationFrame(updateSinging);
+    if (!isMicrophoneActive()) return;
+
+    const now = getPlaybackTime();
+
+    // After a seek backwards, drop the pitches and note scores that are now in the future
+    if (now < lastSingingTime) {
+        sungTrail = sungTrail.filter(point => point.time <= now);
+        rebaseSingingScore(score, now);
+    }
+    lastSingingTime = now;
+
+    if (isPlaybackRunning()) {
+        micAnalyser.getFloatTimeDomainData(micSamples);
+        const point = scoreFrame(score, melody, now, detectSungMidi(micSamples, micAnalyser.context.sampleRate));
+        if (point) sungTrail.push(point);
+        sungTrail = sungTrail.filter(trailPoint => trailPoint.time >= now - LANE_PAST);
+    }
+
+    drawPitchLane(now);
+};
+
+// Create the Sing button and pitch-lane HUD in the top-right corner
+const createSingingHud = () => {
+    if (micButton) return;
+    score = createSingingScore();
+
+    const hudDiv = document.createElement('div');
+    hudDiv.style.position = 'absolute';
+    hudDiv.style.top = '20px';
+    hudDiv.style.right = '20px';
+    hudDiv.style.zIndex = '1000';
+    hudDiv.style.textAlign = 'right';
+
+    micButton = document.createElement('button');
+    micButton.style.padding = '6px 14px';
+    micButton.style.backgroundColor = '#333';
+    micButton.style.color = '#fff';
+    micButton.style.border = '2px solid #666';
+    micButton.style.cursor = 'pointer';
+    micButton.style.fontFamily = 'monospace';
+    micButton.style.borderRadius = '4px';
+    micButton.style.boxShadow = '0 0 5px rgba(0,0,0,0.5)';
+    micButton.addEventListener('click', toggleMicrophone);
+
+    hudCanvas = document.createElement('canvas');
+    hudCanvas.width = 320;
+    hudCanvas.height = 140;
+    hudCanvas.style.marginTop = '8px';
+    hudCanvas.style.border = '2px solid #666';
+    hudCanvas.style.borderRadius = '4px';
+    hudCanvas.style.imageRendering = 'pixelated';
+    hudContext = hudCanvas.getContext('2d');
+
+    hudDiv.appendChild(micButton);
+    hudDiv.appendChild(hudCanvas);
+    document.body.appendChild(hudDiv);
+    updateMicButton();
+
+    // M toggles the microphone
+    document.addEventListener('keydown', (event) => {
+        if (isTypingInField(event)) return;
+        if (event.code === 'KeyM') toggleMicrophone();
+    });
+
+    updateSinging();
+};
+
+// Score a recorded performance (an AudioBuffer decoded from e.g. a WAV file) against
+// the melody with the same pitch detection as the live mic. The recording is mixed
+// down to mono through an OfflineAudioContext and is assumed to start at the song's 0:00.
+// Resolves to { score, frames } where frames are the drawn pitch points.
+const scoreRecording = (audioBuffer, notes = melody) => {
+    const sampleRate = audioBuffer.sampleRate;
+    const offline = new OfflineAudioContext(1, audioBuffer.length, sampleRate);
+    const source = offline.createBufferSource();
+    source.buffer = audioBuffer;
+    source.connect(offline.destination);
+    source.start();
+
+    return offline.startRendering().then(rendered => {
+        const samples = rendered.getChannelData(0);
+        const recordingScore = createSingingScore();
+        const frames = [];
+        const hopSize = FRAME_SIZE / 2;
+
+        for (let start = 0; start + FRAME_SIZE <= samples.length; start += hopSize) {
+            // Time the frame at its centre, matching what the analyser hears live
+            const time = (start + FRAME_SIZE / 2) / sampleRate * 1000;
+            const point = scoreFrame(recordingScore, notes, time, detectSungMidi(samples.subarray(start, start + FRAME_SIZE), sampleRate));
+            if (point) frames.push(point);
+        }
+
+        return { score: getScorePercent(recordingScore), frames };
+    });
+};
+
+// Load a recording with THREE.AudioLoader and score it against the current melody
+const scoreRecordingFile = (url, onDone, onError) => {
+    new THREE.AudioLoader().load(
+        url,
+        function(audioBuffer) {
+            scoreRecording(audioBuffer).then(onDone).catch(error => {
+                if (onError) onError(error);
+            });
+        },
+        undefined,
+        function(error) {
+            if (onError) onError(new Error(`Could not load recording ${url}`, { cause: error }));
+        }
+    );
+};
+
+export {
+    createSingingHud,
+    setSingingMelody,
+    resetSingingScore,
+    enableMicrophone,
+    disableMicrophone,
+    getMicrophoneSource,
+    scoreRecording,
+    scoreRecordingFile
+};
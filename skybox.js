@@ -1,6 +1,7 @@
 // skybox.js - Deep blue-purple gradient skybox for the 3D scene
 
 import * as THREE from 'three';
+import { disposeObject } from './disposal.js';
 
 // Create a deep blue-purple gradient skybox
 const createSkybox = (scene) => {
@@ -95,4 +96,12 @@ const updateSkybox = (scene, time) => {
     }
 };
 
-export { createSkybox, updateSkybox }; 
\ No newline at end of file
+// Remove the skybox and free its GPU resources
+const disposeSkybox = (scene) => {
+    if (!scene.userData || !scene.userData.skybox) return;
+    
+    disposeObject(scene.userData.skybox);
+    delete scene.userData.skybox;
+};
+
+export { createSkybox, updateSkybox, disposeSkybox }; 
\ No newline at end of file
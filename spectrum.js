@@ -0,0 +1,181 @@
+// spectrum.js - The song's frequency analysis for every audio-reactive effect: bands in Hz, smoothing, peak-hold and normalized levels
+
+import * as THREE from 'three';
+
+const DEFAULT_FFT_SIZE = 2048;
+
+// Named bands the effects read, as [low, high) in Hz
+const DEFAULT_BANDS = {
+    bass: [20, 250],
+    mid: [250, 2000],
+    high: [2000, 12000]
+};
+
+// A mel-spaced filter bank across the audible range, finer in the bass like hearing is.
+// The beat tracker finds onsets in it.
+const MEL_BAND_COUNT = 24;
+const MEL_MIN_HZ = 30;
+const MEL_MAX_HZ = 16000;
+
+const ATTACK_TIME = 0.02; // Seconds for a band to rise most of the way to a louder reading
+const RELEASE_TIME = 0.15; // Seconds for it to fall most of the way to a quieter one
+const PEAK_HOLD_TIME = 0.5; // Seconds a peak stays put before falling
+const PEAK_FALL_RATE = 0.8; // Level per second a peak falls after that
+const GAIN_RELEASE_TIME = 8; // Seconds for a band's loudest recent level to decay most of the way
+const GAIN_FLOOR = 0.2; // normalized never divides by less than this, so near-silence stays quiet
+
+let analyser = null; // THREE.AudioAnalyser
+let bins = new Uint8Array(0);
+let binWidth = 0; // Hz per bin
+let fftSize = DEFAULT_FFT_SIZE;
+let lastUpdateTime = null;
+
+const hzToMel = (hz) => 2595 * Math.log10(1 + hz / 700);
+const melToHz = (mel) => 700 * (Math.pow(10, mel / 2595) - 1);
+
+// A band's readings. level is smoothed (0-1), peak holds the highest recent level,
+// normalized is level relative to the band's loudest recent level, so quiet songs and
+// the naturally weaker treble still use the whole 0-1 range. raw is this frame's reading.
+const createBand = (name, low, high) => ({
+    name,
+    low,
+    high,
+    firstBin: 0,
+    lastBin: 0,
+    raw: 0,
+    level: 0,
+    peak: 0,
+    normalized: 0,
+    peakAge: 0,
+    loudest: 0
+});
+
+let bands = Object.entries(DEFAULT_BANDS).map(([name, [low, high]]) => createBand(name, low, high));
+let melBands = [];
+let melSpectrum = new Float32Array(0);
+
+// Which bins a band covers; every band gets at least one, even where it is narrower than a bin
+const assignBins = (band) => {
+    band.firstBin = Math.min(bins.length - 1, Math.max(1, Math.floor(band.low / binWidth)));
+    band.lastBin = Math.min(bins.length - 1, Math.max(band.firstBin, Math.ceil(band.high / binWidth) - 1));
+};
+
+const createMelBands = (count) => {
+    const minMel = hzToMel(MEL_MIN_HZ);
+    const step = (hzToMel(MEL_MAX_HZ) - minMel) / count;
+    return Array.from({ length: count }, (_, i) =>
+        createBand(`mel${i}`, melToHz(minMel + step * i), melToHz(minMel + step * (i + 1))));
+};
+
+// Analyse audio (a THREE.Audio) with fftSize (a power of two, 32-32768) and the named
+// bands, e.g. { kick: [40, 120] }. The analyser's own smoothing is off; the bands are
+// smoothed here by time rather than by frame, so live playback and offline renders at any
+// frame rate move alike.
+const setupSpectrum = (audio, { fftSize: size = DEFAULT_FFT_SIZE, bands: definitions = DEFAULT_BANDS, melBandCount = MEL_BAND_COUNT } = {}) => {
+    fftSize = size;
+    analyser = new THREE.AudioAnalyser(audio, fftSize);
+    analyser.analyser.smoothingTimeConstant = 0;
+    bins = analyser.data;
+    binWidth = audio.context.sampleRate / fftSize;
+
+    bands = Object.entries(definitions).map(([name, [low, high]]) => createBand(name, low, high));
+    melBands = createMelBands(melBandCount);
+    melSpectrum = new Float32Array(melBandCount);
+    bands.concat(melBands).forEach(assignBins);
+    lastUpdateTime = null;
+};
+
+const isSpectrumReady = () => analyser !== null;
+
+// The analyser's settings, so offline frames can be computed to match
+const getAnalyserSettings = () => ({
+    fftSize,
+    smoothingTimeConstant: analyser.analyser.smoothingTimeConstant
+});
+
+// Read ?fft= from the URL; anything but a power of two from 32 to 32768 gives the default
+const readFftSize = (search) => {
+    const value = Number(new URLSearchParams(search).get('fft'));
+    if (!value) return DEFAULT_FFT_SIZE;
+    if (value < 32 || value > 32768 || (value & (value - 1)) !== 0) {
+        console.warn(`fft must be a power of two from 32 to 32768, got "${value}"; using ${DEFAULT_FFT_SIZE}`);
+        return DEFAULT_FFT_SIZE;
+    }
+    return value;
+};
+
+// Move value towards target, most of the way in timeConstant seconds; dt null jumps there
+const follow = (value, target, dt, timeConstant) =>
+    dt === null ? target : value + (target - value) * (1 - Math.exp(-dt / timeConstant));
+
+const updateBand = (band, dt) => {
+    let sum = 0;
+    for (let i = band.firstBin; i <= band.lastBin; i++) sum += bins[i];
+    band.raw = sum / (band.lastBin - band.firstBin + 1) / 255;
+
+    band.level = follow(band.level, band.raw, dt, band.raw > band.level ? ATTACK_TIME : RELEASE_TIME);
+
+    if (dt === null || band.level >= band.peak) {
+        band.peak = band.level;
+        band.peakAge = 0;
+    } else {
+        band.peakAge += dt;
+        if (band.peakAge > PEAK_HOLD_TIME) band.peak = Math.max(band.level, band.peak - PEAK_FALL_RATE * dt);
+    }
+
+    band.loudest = band.level > band.loudest ? band.level : follow(band.loudest, band.level, dt, GAIN_RELEASE_TIME);
+    band.normalized = Math.min(1, band.level / Math.max(band.loudest, GAIN_FLOOR));
+};
+
+// Take a new reading at song time (seconds), from frame (frequency bins, 0-255, e.g.
+// precomputed for an offline render) or otherwise from the analyser. A seek snaps the
+// bands to the new reading rather than sweeping to it.
+const updateSpectrum = (time, frame = null) => {
+    if (!analyser) return;
+
+    if (frame) {
+        bins.set(frame);
+    } else {
+        analyser.getFrequencyData();
+    }
+
+    const seeked = lastUpdateTime === null || time < lastUpdateTime || time - lastUpdateTime > 1;
+    const dt = seeked ? null : time - lastUpdateTime;
+    lastUpdateTime = time;
+
+    bands.forEach(band => updateBand(band, dt));
+    melBands.forEach((band, i) => {
+        updateBand(band, dt);
+        melSpectrum[i] = band.raw;
+    });
+};
+
+// Silence every band, e.g. when another song is loaded
+const resetSpectrum = () => {
+    bands.concat(melBands).forEach(band => {
+        band.raw = 0;
+        band.level = 0;
+        band.peak = 0;
+        band.normalized = 0;
+        band.peakAge = 0;
+        band.loudest = 0;
+    });
+    melSpectrum.fill(0);
+    lastUpdateTime = null;
+};
+
+// A named band's readings ({ level, peak, normalized, raw, low, high }). Before the song
+// loads every band reads 0. Treat the result as read-only; it updates in place.
+const getBand = (name) => {
+    const band = bands.find(candidate => candidate.name === name);
+    if (!band) throw new Error(`Unknown spectrum band "${name}"`);
+    return band;
+};
+
+// The mel bands, lowest first
+const getMelBands = () => melBands;
+
+// This frame's unsmoothed mel band levels (0-1), for onset detection
+const getMelSpectrum = () => melSpectrum;
+
+export { setupSpectrum, isSpectrumReady, getAnalyserSettings, readFftSize, updateSpectrum, resetSpectrum, getBand, getMelBands, getMelSpectrum };
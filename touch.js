@@ -0,0 +1,163 @@
+// touch.js - On-screen joystick, swipe-to-look and pinch-to-zoom for touch screens
+
+const JOYSTICK_RADIUS = 50; // px the knob travels from the center at full speed
+const LOOK_SENSITIVITY = 0.005; // Radians per px of swipe
+const MIN_FOV = 30;
+const MAX_FOV = 90;
+
+// Read ?touch=on / ?touch=off from the URL; null leaves it to the device
+const readTouchOverride = (search) => {
+    const value = new URLSearchParams(search).get('touch');
+    if (value === 'on') return true;
+    if (value === 'off') return false;
+    return null;
+};
+
+// Touch controls for a camera driven by OrbitControls. They show by themselves on
+// coarse-pointer (touch-first) devices, or when forced is true. While they show, a joystick
+// in the bottom-left corner walks, one finger swiped across element looks around through
+// onLook(yaw, pitch) and two fingers pinch the camera's field of view, calling onZoom().
+// OrbitControls' own touch gestures are switched off meanwhile, so the two don't fight over
+// the same fingers; the mouse still drives OrbitControls as usual.
+const createTouchControls = ({ element, camera, controls, onLook, onZoom = null, forced = null }) => {
+    const coarsePointer = window.matchMedia('(pointer: coarse)');
+    const savedTouches = { ...controls.touches };
+    let active = false;
+    let enabled = true; // Off while something else (an offline render) drives the camera
+    let moveForward = 0;
+    let moveRight = 0;
+
+    // Joystick
+    const base = document.createElement('div');
+    base.style.position = 'fixed';
+    base.style.left = '30px';
+    base.style.bottom = '90px'; // Clear of the transport bar
+    base.style.width = `${JOYSTICK_RADIUS * 2}px`;
+    base.style.height = `${JOYSTICK_RADIUS * 2}px`;
+    base.style.borderRadius = '50%';
+    base.style.border = '2px solid rgba(255,255,255,0.4)';
+    base.style.backgroundColor = 'rgba(0,0,0,0.3)';
+    base.style.touchAction = 'none';
+    base.style.zIndex = '1000';
+    base.style.display = 'none';
+
+    const knob = document.createElement('div');
+    knob.style.position = 'absolute';
+    knob.style.left = `${JOYSTICK_RADIUS - 20}px`;
+    knob.style.top = `${JOYSTICK_RADIUS - 20}px`;
+    knob.style.width = '40px';
+    knob.style.height = '40px';
+    knob.style.borderRadius = '50%';
+    knob.style.backgroundColor = 'rgba(0,255,255,0.6)';
+    knob.style.pointerEvents = 'none';
+    base.appendChild(knob);
+    document.body.appendChild(base);
+
+    let joystickPointer = null;
+
+    const moveKnob = (event) => {
+        const rect = base.getBoundingClientRect();
+        let dx = event.clientX - (rect.left + rect.width / 2);
+        let dy = event.clientY - (rect.top + rect.height / 2);
+        const distance = Math.hypot(dx, dy);
+        if (distance > JOYSTICK_RADIUS) {
+            dx *= JOYSTICK_RADIUS / distance;
+            dy *= JOYSTICK_RADIUS / distance;
+        }
+        knob.style.transform = `translate(${dx}px, ${dy}px)`;
+        moveRight = dx / JOYSTICK_RADIUS;
+        moveForward = -dy / JOYSTICK_RADIUS;
+    };
+
+    const releaseKnob = (event) => {
+        if (event.pointerId !== joystickPointer) return;
+        joystickPointer = null;
+        knob.style.transform = '';
+        moveForward = 0;
+        moveRight = 0;
+    };
+
+    base.addEventListener('pointerdown', (event) => {
+        joystickPointer = event.pointerId;
+        base.setPointerCapture(event.pointerId);
+        moveKnob(event);
+    });
+    base.addEventListener('pointermove', (event) => {
+        if (event.pointerId === joystickPointer) moveKnob(event);
+    });
+    base.addEventListener('pointerup', releaseKnob);
+    base.addEventListener('pointercancel', releaseKnob);
+
+    // Swipe and pinch on the view: the fingers down, by pointer id
+    const fingers = new Map();
+    let pinchDistance = 0;
+
+    const getPinchDistance = () => {
+        const [first, second] = fingers.values();
+        return Math.hypot(first.x - second.x, first.y - second.y);
+    };
+
+    element.addEventListener('pointerdown', (event) => {
+        if (!active || event.pointerType !== 'touch') return;
+        fingers.set(event.pointerId, { x: event.clientX, y: event.clientY });
+        if (fingers.size === 2) pinchDistance = getPinchDistance();
+    });
+
+    element.addEventListener('pointermove', (event) => {
+        const finger = fingers.get(event.pointerId);
+        if (!finger || !enabled) return;
+        const dx = event.clientX - finger.x;
+        const dy = event.clientY - finger.y;
+        finger.x = event.clientX;
+        finger.y = event.clientY;
+
+        if (fingers.size === 1) {
+            // Swiping right turns right and swiping up looks up
+            onLook(dx * LOOK_SENSITIVITY, -dy * LOOK_SENSITIVITY);
+        } else if (fingers.size === 2) {
+            // Spreading the fingers narrows the field of view, which zooms in
+            const distance = getPinchDistance();
+            if (pinchDistance > 0 && distance > 0) {
+                if (onZoom) onZoom();
+                camera.fov = Math.min(MAX_FOV, Math.max(MIN_FOV, camera.fov * pinchDistance / distance));
+                camera.updateProjectionMatrix();
+            }
+            pinchDistance = distance;
+        }
+    });
+
+    const liftFinger = (event) => {
+        if (!fingers.delete(event.pointerId)) return;
+        pinchDistance = fingers.size === 2 ? getPinchDistance() : 0;
+    };
+    element.addEventListener('pointerup', liftFinger);
+    element.addEventListener('pointercancel', liftFinger);
+
+    const setActive = (value) => {
+        active = value;
+        base.style.display = active ? 'block' : 'none';
+        if (active) {
+            controls.touches = { ONE: null, TWO: null };
+        } else {
+            Object.assign(controls.touches, savedTouches);
+            fingers.clear();
+            moveForward = 0;
+            moveRight = 0;
+        }
+    };
+
+    const refresh = () => setActive(forced !== null ? forced : coarsePointer.matches);
+    coarsePointer.addEventListener('change', refresh);
+    refresh();
+
+    // The joystick's push, -1 to 1 on each axis, like a gamepad stick
+    const read = () => enabled ? { moveForward, moveRight } : { moveForward: 0, moveRight: 0 };
+
+    return {
+        read,
+        isActive: () => active,
+        setEnabled: (value) => { enabled = value; }
+    };
+};
+
+export { createTouchControls, readTouchOverride };
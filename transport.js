@@ -0,0 +1,207 @@
+// transport.js - Play/pause, seek bar and scrubbable song timeline
+
+import { getPlaybackTime, getPlaybackDuration } from './clock.js';
+import { formatSongTime } from './setlist.js';
+import { isTypingInField } from './settings.js';
+
+const SKIP_AMOUNT = 5000; // ms jumped by the arrow keys
+
+// Transport elements and callbacks, set up once by createTransport
+let transportBar = null;
+let playButton = null;
+let timeLabel = null;
+let durationLabel = null;
+let track = null;
+let progressFill = null;
+let markerLayer = null;
+let callbacks = null;
+
+// Markers drawn on the timeline: stanzas as { start, end, color } spans, cues as { time, label } ticks
+let stanzaMarkers = [];
+let cueMarkers = [];
+let fallbackDuration = 0; // Manifest duration, used until the audio buffer has loaded
+
+// Song length used to lay out the timeline
+const getTimelineDuration = () => getPlaybackDuration() || fallbackDuration;
+
+// Create a button in the same style as the rest of the on-screen controls
+const createTransportButton = (label) => {
+    const button = document.createElement('button');
+    button.textContent = label;
+    button.style.padding = '6px 14px';
+    button.style.backgroundColor = '#333';
+    button.style.color = '#fff';
+    button.style.border = '2px solid #666';
+    button.style.cursor = 'pointer';
+    button.style.fontFamily = 'monospace';
+    button.style.borderRadius = '4px';
+    button.style.boxShadow = '0 0 5px rgba(0,0,0,0.5)';
+    return button;
+};
+
+// Convert a pointer position on the track into a song time
+const pointerToSongTime = (event) => {
+    const rect = track.getBoundingClientRect();
+    const fraction = Math.min(1, Math.max(0, (event.clientX - rect.left) / rect.width));
+    return fraction * getTimelineDuration();
+};
+
+// Rebuild the stanza and cue markers on the timeline
+const renderMarkers = () => {
+    if (!markerLayer) return;
+
+    const duration = getTimelineDuration();
+    markerLayer.innerHTML = '';
+    if (!duration) return;
+
+    const toPercent = (time) => `${Math.min(100, time / duration * 100)}%`;
+
+    stanzaMarkers.forEach((stanza, index) => {
+        const span = document.createElement('div');
+        span.style.position = 'absolute';
+        span.style.top = '2px';
+        span.style.bottom = '2px';
+        span.style.left = toPercent(stanza.start);
+        span.style.width = `${Math.max(0.5, (stanza.end - stanza.start) / duration * 100)}%`;
+        span.style.backgroundColor = stanza.color;
+        span.style.opacity = '0.45';
+        span.title = `Stanza ${index + 1} - ${formatSongTime(stanza.start)}`;
+        markerLayer.appendChild(span);
+    });
+
+    cueMarkers.forEach(cue => {
+        const tick = document.createElement('div');
+        tick.style.position = 'absolute';
+        tick.style.top = '-4px';
+        tick.style.bottom = '-4px';
+        tick.style.left = toPercent(cue.time);
+        tick.style.width = '2px';
+        tick.style.backgroundColor = '#ffff00';
+        tick.title = `${cue.label} - ${formatSongTime(cue.time)}`;
+        markerLayer.appendChild(tick);
+    });
+};
+
+// Replace the timeline markers, e.g. when a new song or its lyrics have loaded
+const setTransportMarkers = ({ stanzas = [], cues = [], duration = 0 }) => {
+    stanzaMarkers = stanzas;
+    cueMarkers = cues;
+    fallbackDuration = duration;
+    renderMarkers();
+};
+
+// Keep the time readout, progress bar and play button in step with the clock
+const updateTransport = () => {
+    const duration = getTimelineDuration();
+    const time = getPlaybackTime();
+
+    timeLabel.textContent = formatSongTime(time);
+    durationLabel.textContent = formatSongTime(duration);
+    progressFill.style.width = duration ? `${Math.min(100, time / duration * 100)}%` : '0%';
+    playButton.textContent = callbacks.isPlaying() ? 'Pause' : 'Play';
+
+    requestAnimationFrame(updateTransport);
+};
+
+// Start of the first stanza after the current position, or null after the last one
+const getNextStanzaTime = () => {
+    // A little slack so pressing the key right at a stanza start moves on to the next one
+    const time = getPlaybackTime() + 250;
+    const next = stanzaMarkers.find(stanza => stanza.start > time);
+    return next ? next.start : null;
+};
+
+// Build the transport bar along the bottom of the page.
+// onTogglePlay() plays or pauses, onSeek(ms) moves playback, isPlaying() reports the state.
+const createTransport = ({ onTogglePlay, onSeek, isPlaying }) => {
+    if (transportBar) return;
+    callbacks = { onTogglePlay, onSeek, isPlaying };
+
+    transportBar = document.createElement('div');
+    transportBar.style.position = 'absolute';
+    transportBar.style.bottom = '20px';
+    transportBar.style.left = '20px';
+    transportBar.style.right = '20px';
+    transportBar.style.display = 'flex';
+    transportBar.style.alignItems = 'center';
+    transportBar.style.gap = '10px';
+    transportBar.style.zIndex = '1000';
+    transportBar.style.fontFamily = 'monospace';
+    transportBar.style.color = '#fff';
+
+    playButton = createTransportButton('Play');
+    playButton.addEventListener('click', () => callbacks.onTogglePlay());
+
+    timeLabel = document.createElement('span');
+    durationLabel = document.createElement('span');
+
+    // The track holds the stanza/cue markers and the progress fill
+    track = document.createElement('div');
+    track.style.position = 'relative';
+    track.style.flex = '1';
+    track.style.height = '14px';
+    track.style.backgroundColor = 'rgba(0, 0, 0, 0.6)';
+    track.style.border = '2px solid #666';
+    track.style.borderRadius = '4px';
+    track.style.cursor = 'pointer';
+    track.style.touchAction = 'none';
+
+    markerLayer = document.createElement('div');
+    markerLayer.style.position = 'absolute';
+    markerLayer.style.inset = '0';
+
+    progressFill = document.createElement('div');
+    progressFill.style.position = 'absolute';
+    progressFill.style.top = '0';
+    progressFill.style.bottom = '0';
+    progressFill.style.left = '0';
+    progressFill.style.backgroundColor = 'rgba(255, 0, 255, 0.5)';
+    progressFill.style.borderRight = '2px solid #ff00ff';
+    progressFill.style.pointerEvents = 'none';
+
+    track.appendChild(markerLayer);
+    track.appendChild(progressFill);
+
+    // Click or drag along the track to scrub
+    let scrubbing = false;
+    track.addEventListener('pointerdown', (event) => {
+        scrubbing = true;
+        track.setPointerCapture(event.pointerId);
+        callbacks.onSeek(pointerToSongTime(event));
+    });
+    track.addEventListener('pointermove', (event) => {
+        if (scrubbing) callbacks.onSeek(pointerToSongTime(event));
+    });
+    track.addEventListener('pointerup', () => {
+        scrubbing = false;
+    });
+
+    transportBar.appendChild(playButton);
+    transportBar.appendChild(timeLabel);
+    transportBar.appendChild(track);
+    transportBar.appendChild(durationLabel);
+    document.body.appendChild(transportBar);
+
+    // Left/right arrows skip 5 seconds, N jumps to the next stanza
+    document.addEventListener('keydown', (event) => {
+        if (isTypingInField(event)) return;
+        switch(event.code) {
+            case 'ArrowLeft':
+                callbacks.onSeek(getPlaybackTime() - SKIP_AMOUNT);
+                break;
+            case 'ArrowRight':
+                callbacks.onSeek(getPlaybackTime() + SKIP_AMOUNT);
+                break;
+            case 'KeyN': {
+                const nextStanzaTime = getNextStanzaTime();
+                if (nextStanzaTime !== null) callbacks.onSeek(nextStanzaTime);
+                break;
+            }
+        }
+    });
+
+    renderMarkers();
+    updateTransport();
+};
+
+export { createTransport, setTransportMarkers };
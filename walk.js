@@ -0,0 +1,145 @@
+// walk.js - First-person walk mode: a player capsule at eye height that bumps into walls and props
+
+import * as THREE from 'three';
+import { computeWorldBounds } from './physics.js';
+
+const EYE_HEIGHT = 1.7;
+const CAPSULE_RADIUS = 0.3;
+const CAPSULE_HEIGHT = 1.85; // Feet to the top of the head
+const STEP_HEIGHT = 0.35; // Anything lower (curbs, floors, the stage) is walked over
+const LOOK_DISTANCE = 0.5; // Orbiting a target this close is looking around from where you stand
+const ORBIT_DISTANCE = 5; // How far ahead the target goes when walk mode ends
+
+// Scratch vectors
+const start = new THREE.Vector3();
+const moveStep = new THREE.Vector3();
+const correction = new THREE.Vector3();
+const lookDirection = new THREE.Vector3();
+
+// Walk mode for an OrbitControls camera. While it is on the orbit target stays just in
+// front of the camera, so dragging turns the view rather than swinging around the scene,
+// and the camera stays at eye height. The capsule is upright, so sideways it is a circle
+// that is pushed out of every collider box it overlaps between the player's knees and head;
+// a doorway is passable as long as nothing in getColliders() fills it.
+// getColliders() returns the objects to bump into; it is called every frame, so props that
+// are blown apart or removed are followed.
+const createWalkMode = ({ camera, controls, getColliders, onChange = null }) => {
+    let enabled = false;
+    let savedControls = null;
+
+    // Each collider's world bounds, recomputed only when it has moved
+    const bounds = new WeakMap();
+    const getBounds = (object) => {
+        object.updateWorldMatrix(true, false);
+        let entry = bounds.get(object);
+        if (!entry) {
+            entry = { box: new THREE.Box3(), matrix: new THREE.Matrix4() };
+            bounds.set(object, entry);
+        } else if (entry.matrix.equals(object.matrixWorld)) {
+            return entry.box;
+        }
+        entry.matrix.copy(object.matrixWorld);
+        return computeWorldBounds(object, entry.box);
+    };
+
+    // Push position (the eye) out of every collider the capsule overlaps
+    const resolveCollisions = (position) => {
+        const feet = position.y - EYE_HEIGHT;
+        getColliders().forEach(object => {
+            if (!object || !object.parent) return;
+            const box = getBounds(object);
+            if (box.isEmpty() || box.max.y <= feet + STEP_HEIGHT || box.min.y >= feet + CAPSULE_HEIGHT) return;
+
+            // Closest point of the box to the capsule's axis, on the ground plane
+            const dx = position.x - THREE.MathUtils.clamp(position.x, box.min.x, box.max.x);
+            const dz = position.z - THREE.MathUtils.clamp(position.z, box.min.z, box.max.z);
+            const distanceSquared = dx * dx + dz * dz;
+            if (distanceSquared >= CAPSULE_RADIUS * CAPSULE_RADIUS) return;
+
+            if (distanceSquared > 1e-8) {
+                const distance = Math.sqrt(distanceSquared);
+                const push = (CAPSULE_RADIUS - distance) / distance;
+                position.x += dx * push;
+                position.z += dz * push;
+                return;
+            }
+
+            // The axis is inside the box: leave through the nearest side
+            const exits = [
+                ['x', box.min.x - CAPSULE_RADIUS],
+                ['x', box.max.x + CAPSULE_RADIUS],
+                ['z', box.min.z - CAPSULE_RADIUS],
+                ['z', box.max.z + CAPSULE_RADIUS]
+            ];
+            let [axis, value] = exits[0];
+            exits.forEach(([exitAxis, exitValue]) => {
+                if (Math.abs(exitValue - position[exitAxis]) < Math.abs(value - position[axis])) {
+                    axis = exitAxis;
+                    value = exitValue;
+                }
+            });
+            position[axis] = value;
+        });
+    };
+
+    // Move the camera and its target together, correcting both by the same amount
+    const followCamera = (from) => {
+        controls.target.add(correction.subVectors(camera.position, from));
+    };
+
+    // Walk by displacement, in steps short enough that the capsule can't pass through a thin wall
+    const move = (displacement) => {
+        start.copy(camera.position);
+        const steps = Math.max(1, Math.ceil(displacement.length() / (CAPSULE_RADIUS * 0.5)));
+        moveStep.copy(displacement).divideScalar(steps);
+        for (let i = 0; i < steps; i++) {
+            camera.position.add(moveStep);
+            resolveCollisions(camera.position);
+        }
+        followCamera(start);
+    };
+
+    // Keep the camera at eye height, the target just ahead and the capsule clear of props,
+    // whatever else (a transition, a camera cue) moved it; call after controls.update()
+    const update = () => {
+        if (!enabled) return;
+        start.copy(camera.position);
+        camera.position.y = EYE_HEIGHT;
+        resolveCollisions(camera.position);
+        followCamera(start);
+
+        lookDirection.subVectors(controls.target, camera.position);
+        if (lookDirection.lengthSq() === 0) camera.getWorldDirection(lookDirection);
+        controls.target.copy(camera.position).addScaledVector(lookDirection.normalize(), LOOK_DISTANCE);
+    };
+
+    const setEnabled = (value) => {
+        if (value === enabled) return;
+        enabled = value;
+
+        if (enabled) {
+            savedControls = { enableZoom: controls.enableZoom, enablePan: controls.enablePan };
+            controls.enableZoom = false;
+            controls.enablePan = false;
+            update();
+        } else {
+            controls.enableZoom = savedControls.enableZoom;
+            controls.enablePan = savedControls.enablePan;
+            lookDirection.subVectors(controls.target, camera.position).normalize();
+            controls.target.copy(camera.position).addScaledVector(lookDirection, ORBIT_DISTANCE);
+        }
+        controls.update();
+
+        if (onChange) onChange(enabled);
+    };
+
+    return {
+        move,
+        update,
+        setEnabled,
+        toggle: () => setEnabled(!enabled),
+        isEnabled: () => enabled
+    };
+};
+
+export { createWalkMode };